@@ -0,0 +1,4 @@
+// only used by jest; webpack bundles the ES modules as they are
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]]
+};
@@ -0,0 +1,192 @@
+import { DateTime } from "luxon";
+import data from "./data";
+import {
+  azimuth,
+  azimuthFromLatLng,
+  latLngFromAzimuth,
+  SPA,
+  sunCrossings
+} from "./spa";
+import { limit_degrees180pm } from "./util";
+
+/**
+ * Refraction coefficient for a line of sight close to the ground
+ * @type {number}
+ */
+const TERRESTRIAL_REFRACTION = 0.13;
+
+/**
+ * How far (degrees) the sun may miss the bearing at a turning point and still
+ * count as an alignment
+ * @type {Degrees}
+ */
+const TURNING_TOLERANCE = 0.5;
+
+/**
+ * Number of points used to draw the line of possible observer positions
+ * @type {number}
+ */
+const STANDING_LINE_POINTS = 32;
+
+/**
+ * Geometric sun elevation at which the sun's center sits on top of a target
+ * @param {Meters} distance Distance from observer to target
+ * @param {Meters} height Height of the target's top above the observer's eye
+ * @returns {Degrees} Sun elevation, corrected for earth curvature and refraction
+ */
+function targetAltitude(distance, height) {
+  // drop of the target below the observer's tangent plane, less the part
+  // that terrestrial refraction lifts back up
+  const drop =
+    (distance ** 2 / (2 * data.RADIUS_A)) * (1 - TERRESTRIAL_REFRACTION);
+  const apparent = (Math.atan2(height - drop, distance) * 180) / Math.PI;
+
+  // Bennett's formula takes the apparent altitude back to a geometric one
+  const refraction =
+    1 / (60 * Math.tan(((apparent + 7.31 / (apparent + 4.4)) * Math.PI) / 180));
+  return apparent - refraction;
+}
+
+/**
+ * Search a year for the sunrises and sunsets that line up with a target as
+ * seen from the observer. A generator so the search can be run a month at a
+ * time.
+ * @param {{lat: Degrees, lng: Degrees}} observer Observer location
+ * @param {{lat: Degrees, lng: Degrees}} target Target location
+ * @param {number} year Year to search
+ * @param {string} zone Observer's IANA time zone
+ * @param {Object} [options]
+ * @param {Meters} [options.elevation=0] Observer elevation
+ * @param {?Meters} [options.targetHeight] Height of the target's top above the
+ * observer's eye. If given, the sun is lined up on the target itself instead
+ * of on the horizon behind it.
+ * @returns {Generator} Yields after each month and returns `{bearing,
+ * distance, alignments}`: bearing to the target and alignments in date order,
+ * each with `event` ("sunrise" or "sunset"), `time`, `azimuth` and `error`
+ * (degrees off the bearing)
+ */
+export function* findAlignments(observer, target, year, zone, options = {}) {
+  const { elevation = 0, targetHeight = null } = options;
+  const { azimuth: bearing, distance } = azimuthFromLatLng(
+    [observer.lat, observer.lng],
+    [target.lat, target.lng],
+    elevation
+  );
+
+  const h0_prime =
+    targetHeight === null
+      ? -1 * (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET)
+      : targetAltitude(distance, targetHeight);
+
+  // sunrise/sunset time and azimuth miss for every day of the year
+  let days = { sunrise: [], sunset: [] };
+  let day = DateTime.fromObject({ year: year, month: 1, day: 1, zone: zone });
+  while (day.year === year) {
+    const { rise, set } = sunCrossings(day, observer.lat, observer.lng, h0_prime);
+    [["sunrise", rise], ["sunset", set]].forEach(([event, time]) => {
+      if (!time) {
+        days[event].push(null);
+        return;
+      }
+      const az = azimuth(time, elevation, observer.lat, observer.lng);
+      days[event].push({
+        time: time,
+        azimuth: az,
+        error: limit_degrees180pm(az - bearing)
+      });
+    });
+    day = day.plus({ days: 1 });
+    if (day.day === 1) {
+      yield;
+    }
+  }
+
+  let alignments = [];
+  Object.keys(days).forEach(event => {
+    const list = days[event];
+    list.forEach((cur, i) => {
+      const prev = list[i - 1];
+      const next = list[i + 1];
+      if (!cur || !prev) {
+        return;
+      }
+      // the miss changes sign between two days: keep the closer one
+      const crossed =
+        Math.sign(prev.error) !== Math.sign(cur.error) &&
+        Math.abs(cur.error - prev.error) < 90;
+      // or the sun turns around (near a solstice) just short of the bearing
+      const turned =
+        next &&
+        Math.abs(cur.error) < TURNING_TOLERANCE &&
+        Math.abs(cur.error) <= Math.abs(prev.error) &&
+        Math.abs(cur.error) <= Math.abs(next.error) &&
+        Math.sign(prev.error) === Math.sign(next.error);
+
+      if (crossed) {
+        const best = Math.abs(prev.error) < Math.abs(cur.error) ? prev : cur;
+        alignments.push({ event: event, ...best });
+      } else if (turned) {
+        alignments.push({ event: event, ...cur });
+      }
+    });
+  });
+
+  alignments.sort((a, b) => a.time - b.time);
+  return { bearing: bearing, distance: distance, alignments: alignments };
+}
+
+/**
+ * Find where to stand so the sun sets behind a target on a given day. The
+ * observer has to be on the reciprocal of the sunset bearing, at a distance
+ * that makes the target appear the wanted size.
+ * @param {{lat: Degrees, lng: Degrees}} target Target location
+ * @param {DateTime} date Day in question
+ * @param {Object} options
+ * @param {Meters} options.targetSize Height (or width) of the target
+ * @param {Degrees} options.minAngle Smallest angle the target should subtend
+ * @param {Degrees} options.maxAngle Largest angle the target should subtend
+ * @param {Celsius} [options.temp=15] Temperature at the target
+ * @param {Millibar} [options.pressure=1013] Pressure at the target
+ * @returns {?{azimuth: Degrees, near: Meters, far: Meters, line: Object[], band: Object[]}}
+ * Sunset azimuth at the target, distances bounding the band, and points along
+ * the whole line and along the band; null if the sun doesn't set that day
+ * @throws {Error} If the target size isn't positive or an angle isn't between
+ * 0° and 90°
+ */
+export function standingLine(target, date, options) {
+  const { targetSize, minAngle, maxAngle, temp = 15, pressure = 1013 } = options;
+  // comparisons written to fail for NaN too
+  if (!(targetSize > 0)) {
+    throw new Error("Target size must be more than 0 m");
+  }
+  if (![minAngle, maxAngle].every(angle => angle > 0 && angle < 90)) {
+    throw new Error("Angles must be between 0° and 90°");
+  }
+  const spa = new SPA(date, target.lat, target.lng, 0, temp, pressure);
+  if (spa.polar) {
+    return null;
+  }
+
+  const toRad = deg => (deg * Math.PI) / 180;
+  const near = targetSize / Math.tan(toRad(Math.max(minAngle, maxAngle)));
+  const far = targetSize / Math.tan(toRad(Math.min(minAngle, maxAngle)));
+
+  // walk back from the target, away from the setting sun
+  const back = (spa.sunsetAzimuth + 180) % 360;
+  const along = (from, to) =>
+    [...Array(STANDING_LINE_POINTS + 1).keys()].map(i =>
+      latLngFromAzimuth(
+        [target.lat, target.lng],
+        from + ((to - from) * i) / STANDING_LINE_POINTS,
+        back
+      )
+    );
+
+  return {
+    azimuth: spa.sunsetAzimuth,
+    near: near,
+    far: far,
+    line: along(0, far * 1.5),
+    band: along(near, far)
+  };
+}
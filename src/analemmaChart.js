@@ -0,0 +1,196 @@
+import { limit_degrees, limit_degrees180pm } from "./util";
+
+/**
+ * Space left around each panel for axis labels
+ * @type {number}
+ */
+const MARGIN = 28;
+
+const EOT_COLOR = "#c0392b";
+const DECLINATION_COLOR = "#2f5fc4";
+
+/**
+ * Analemma (the sun's position at one clock time through a year) next to
+ * plots of the equation of time and the sun's declination against date
+ */
+class AnalemmaChart {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw in
+   */
+  constructor(canvas) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext("2d");
+    this._samples = [];
+  }
+
+  /**
+   * @param {Object[]} samples Results of `sunAnalemma`
+   */
+  set samples(samples) {
+    this._samples = samples;
+    this.draw();
+  }
+
+  /**
+   * Panel boxes: the analemma on the left, the yearly plots on the right
+   * @returns {{x: number, y: number, w: number, h: number}[]}
+   */
+  get _panels() {
+    const half = this._canvas.width / 2;
+    const h = this._canvas.height - 2 * MARGIN;
+    return [
+      { x: MARGIN, y: MARGIN / 2, w: half - 1.5 * MARGIN, h: h },
+      { x: half + MARGIN, y: MARGIN / 2, w: half - 2 * MARGIN, h: h }
+    ];
+  }
+
+  /**
+   * Make a function scaling values in [min, max] onto a panel axis
+   * @param {number} min
+   * @param {number} max
+   * @param {number} start Pixel for `min`
+   * @param {number} length Pixels from `min` to `max`, negative to go up
+   * @returns {function(number): number}
+   */
+  static _scale(min, max, start, length) {
+    return v => start + ((v - min) / (max - min || 1)) * length;
+  }
+
+  _drawAnalemma(panel) {
+    const ctx = this._ctx;
+    const samples = this._samples;
+    // keep the figure in one piece when it straddles north
+    const ref = samples[0].azimuth;
+    const azimuths = samples.map(
+      pt => ref + limit_degrees180pm(pt.azimuth - ref)
+    );
+    const elevations = samples.map(pt => pt.elevation);
+    const pad = 2;
+    const x = AnalemmaChart._scale(
+      Math.min(...azimuths) - pad,
+      Math.max(...azimuths) + pad,
+      panel.x,
+      panel.w
+    );
+    const yMin = Math.min(...elevations) - pad;
+    const yMax = Math.max(...elevations) + pad;
+    const y = AnalemmaChart._scale(yMin, yMax, panel.y + panel.h, -panel.h);
+
+    ctx.strokeStyle = "#ccc";
+    ctx.strokeRect(panel.x, panel.y, panel.w, panel.h);
+    if (yMin < 0 && yMax > 0) {
+      // the horizon
+      ctx.strokeStyle = "#888";
+      ctx.beginPath();
+      ctx.moveTo(panel.x, y(0));
+      ctx.lineTo(panel.x + panel.w, y(0));
+      ctx.stroke();
+    }
+
+    // one dot per day, darker through the year; dots rather than a line
+    // because a clock change splits the figure in two
+    samples.forEach((pt, i) => {
+      const shade = Math.round(200 - (i / samples.length) * 160);
+      ctx.fillStyle = `rgb(${shade + 40}, ${shade}, 40)`;
+      ctx.beginPath();
+      ctx.arc(x(azimuths[i]), y(pt.elevation), 2, 0, 2 * Math.PI);
+      ctx.fill();
+      if (pt.time.day === 1) {
+        ctx.fillStyle = "#555";
+        const label = pt.time.toFormat("MMM");
+        ctx.fillText(label, x(azimuths[i]) + 4, y(pt.elevation));
+      }
+    });
+
+    ctx.fillStyle = "#555";
+    ctx.fillText(
+      `Azimuth ${limit_degrees(Math.min(...azimuths)).toFixed(0)}°–` +
+        `${limit_degrees(Math.max(...azimuths)).toFixed(0)}°, ` +
+        `elevation ${Math.min(...elevations).toFixed(0)}°–` +
+        `${Math.max(...elevations).toFixed(0)}°`,
+      panel.x,
+      panel.y + panel.h + 14
+    );
+  }
+
+  _drawYear(panel) {
+    const ctx = this._ctx;
+    const samples = this._samples;
+    const x = AnalemmaChart._scale(0, samples.length - 1, panel.x, panel.w);
+    const eot = AnalemmaChart._scale(-20, 20, panel.y + panel.h, -panel.h);
+    const dec = AnalemmaChart._scale(-25, 25, panel.y + panel.h, -panel.h);
+
+    ctx.strokeStyle = "#ccc";
+    ctx.strokeRect(panel.x, panel.y, panel.w, panel.h);
+    ctx.beginPath();
+    ctx.moveTo(panel.x, eot(0));
+    ctx.lineTo(panel.x + panel.w, eot(0));
+    ctx.stroke();
+
+    // axis labels: equation of time on the left, declination on the right
+    [-20, -10, 10, 20].forEach(v => {
+      ctx.fillStyle = EOT_COLOR;
+      ctx.fillText(`${v}m`, panel.x - MARGIN + 2, eot(v) + 3);
+      ctx.fillStyle = DECLINATION_COLOR;
+      ctx.fillText(`${v * 1.25}°`, panel.x + panel.w + 2, dec(v * 1.25) + 3);
+    });
+
+    [
+      [pt => eot(pt.equationOfTime), EOT_COLOR],
+      [pt => dec(pt.declination), DECLINATION_COLOR]
+    ].forEach(([value, color]) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      samples.forEach((pt, i) =>
+        i === 0 ? ctx.moveTo(x(i), value(pt)) : ctx.lineTo(x(i), value(pt))
+      );
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = "#555";
+    samples.forEach((pt, i) => {
+      if (pt.time.day === 1) {
+        const label = pt.time.toFormat("MMM")[0];
+        ctx.fillText(label, x(i), panel.y + panel.h + 12);
+      }
+    });
+  }
+
+  draw() {
+    const ctx = this._ctx;
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+    ctx.font = "10px sans-serif";
+    ctx.lineWidth = 1;
+    if (!this._samples.length) {
+      return;
+    }
+    const [left, right] = this._panels;
+    this._drawAnalemma(left);
+    this._drawYear(right);
+  }
+
+  /**
+   * Write analemma samples as a CSV sun-position table
+   * @param {Object[]} samples Results of `sunAnalemma`
+   * @returns {string} CSV text with a header row
+   */
+  static toCSV(samples) {
+    const rows = samples.map(pt =>
+      [
+        pt.time.toISODate(),
+        pt.time.toFormat("HH:mm"),
+        pt.time.toFormat("ZZ"),
+        pt.azimuth.toFixed(3),
+        pt.elevation.toFixed(3),
+        pt.declination.toFixed(3),
+        pt.equationOfTime.toFixed(2)
+      ].join(",")
+    );
+    return [
+      "date,time,utc_offset,azimuth,elevation,declination,equation_of_time_min",
+      ...rows
+    ].join("\n");
+  }
+}
+
+export default AnalemmaChart;
@@ -0,0 +1,259 @@
+import data from "./data";
+
+/**
+ * Colours of the bands between sunrise/sunset and each kind of twilight,
+ * lightest first
+ * @type {Object<string, string>}
+ */
+const TWILIGHT_FILLS = {
+  civil: "#9db6e0",
+  nautical: "#5b7fbf",
+  astronomical: "#34508f"
+};
+
+const NIGHT_FILL = "#1b2559";
+const DAY_FILL = "#fff4c2";
+
+/**
+ * Space left around the plot for axis labels
+ * @type {{left: number, right: number, top: number, bottom: number}}
+ */
+const MARGIN = { left: 36, right: 12, top: 12, bottom: 24 };
+
+/**
+ * Wall-clock hours of a time, counted from the start of `day` so that events
+ * after midnight go past 24. Clock hours (not elapsed hours) keep DST jumps.
+ * @param {?DateTime} time Time in question
+ * @param {DateTime} day Start of the local day
+ * @returns {?number} Hours, null if there is no time
+ */
+function clockHours(time, day) {
+  if (!time) {
+    return null;
+  }
+  const dayShift = time.startOf("day").diff(day, "days").days;
+  const hours = time.hour + time.minute / 60 + time.second / 3600;
+  return Math.round(dayShift) * 24 + hours;
+}
+
+/**
+ * Chart of a year of sunrise, sunset, transit, twilight and day length (from
+ * `sunYear`) against local clock time, with the days the clocks change marked.
+ * Clicking the chart picks a day.
+ */
+class AnnualChart {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw in
+   * @param {function(DateTime)} onPick Called with the day clicked on
+   */
+  constructor(canvas, onPick) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext("2d");
+    this._days = [];
+    this._selected = null;
+
+    canvas.onclick = e => {
+      const day = this._dayAt(e.clientX - canvas.getBoundingClientRect().left);
+      if (day) {
+        onPick(day.date);
+      }
+    };
+  }
+
+  /**
+   * @param {SunDay[]} days Results of `sunYear`
+   */
+  set days(days) {
+    this._days = days;
+    this.draw();
+  }
+
+  /**
+   * @param {?DateTime} date Day to highlight
+   */
+  set selected(date) {
+    this._selected = date;
+    this.draw();
+  }
+
+  get _plot() {
+    return {
+      x: MARGIN.left,
+      y: MARGIN.top,
+      w: this._canvas.width - MARGIN.left - MARGIN.right,
+      h: this._canvas.height - MARGIN.top - MARGIN.bottom
+    };
+  }
+
+  _x(i) {
+    const plot = this._plot;
+    return plot.x + ((i + 0.5) * plot.w) / Math.max(this._days.length, 1);
+  }
+
+  _y(hours) {
+    const plot = this._plot;
+    return plot.y + (Math.min(Math.max(hours, 0), 24) * plot.h) / 24;
+  }
+
+  _dayAt(x) {
+    const plot = this._plot;
+    const i = Math.floor(((x - plot.x) * this._days.length) / plot.w);
+    return this._days[i] || null;
+  }
+
+  /**
+   * Fill between two per-day curves, skipping days where either is missing
+   * @param {function(SunDay): ?number} top Upper edge, in hours
+   * @param {function(SunDay): ?number} bottom Lower edge, in hours
+   * @param {string} color Fill colour
+   */
+  _band(top, bottom, color) {
+    const ctx = this._ctx;
+    const width = this._x(1) - this._x(0);
+    ctx.fillStyle = color;
+    this._days.forEach((day, i) => {
+      const a = top(day);
+      const b = bottom(day);
+      if (a === null || b === null) {
+        return;
+      }
+      const y = this._y(a);
+      ctx.fillRect(this._x(i) - width / 2, y, width + 0.5, this._y(b) - y);
+    });
+  }
+
+  /**
+   * Draw a per-day curve, breaking it where the value is missing
+   * @param {function(SunDay): ?number} value Value in hours
+   * @param {Object} style Line style: `color` and optional `dash`
+   */
+  _line(value, style) {
+    const ctx = this._ctx;
+    ctx.strokeStyle = style.color;
+    ctx.setLineDash(style.dash || []);
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    this._days.forEach((day, i) => {
+      const v = value(day);
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(this._x(i), this._y(v));
+      } else {
+        ctx.moveTo(this._x(i), this._y(v));
+      }
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  draw() {
+    const ctx = this._ctx;
+    const plot = this._plot;
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+    if (!this._days.length) {
+      return;
+    }
+
+    // night everywhere, then progressively lighter bands towards daytime
+    ctx.fillStyle = NIGHT_FILL;
+    ctx.fillRect(plot.x, plot.y, plot.w, plot.h);
+    // a missing crossing means the sun stays above (band all day) or below
+    // (no band) that elevation
+    const edge = (time, altitude, allDay) => day =>
+      time(day)
+        ? clockHours(time(day), day.date)
+        : day.minElevation > altitude
+        ? allDay
+        : null;
+    ["astronomical", "nautical", "civil"].forEach(name => {
+      const altitude = data.TWILIGHT[name];
+      this._band(
+        edge(day => day.twilight[name].dawn, altitude, 0),
+        edge(day => day.twilight[name].dusk, altitude, 24),
+        TWILIGHT_FILLS[name]
+      );
+    });
+    // likewise for the sun itself, which stays up all through polar day
+    const sunEdge = (time, allDay) => day =>
+      time(day)
+        ? clockHours(time(day), day.date)
+        : day.polar && day.polar.state === "day"
+        ? allDay
+        : null;
+    this._band(
+      sunEdge(day => day.sunRise, 0),
+      sunEdge(day => day.sunSet, 24),
+      DAY_FILL
+    );
+
+    this._line(day => clockHours(day.sunRise, day.date), {
+      color: "#e3a21a"
+    });
+    this._line(day => clockHours(day.sunSet, day.date), { color: "#c0392b" });
+    this._line(day => clockHours(day.sunTransit, day.date), {
+      color: "#777",
+      dash: [4, 4]
+    });
+    this._line(day => day.dayLength / 60, { color: "#2e7d32" });
+
+    // hour grid and labels
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.15)";
+    ctx.fillStyle = "#555";
+    ctx.font = "10px sans-serif";
+    for (let h = 0; h <= 24; h += 3) {
+      ctx.beginPath();
+      ctx.moveTo(plot.x, this._y(h));
+      ctx.lineTo(plot.x + plot.w, this._y(h));
+      ctx.stroke();
+      ctx.fillText(`${h}:00`, 2, this._y(h) + 3);
+    }
+
+    // month labels along the bottom
+    this._days.forEach((day, i) => {
+      if (day.date.day === 1) {
+        const y = plot.y + plot.h + 14;
+        ctx.fillText(day.date.toFormat("MMM"), this._x(i), y);
+      }
+    });
+
+    // days the clocks change; midnight is still on the old offset then, so
+    // compare at noon
+    const offset = day => day.date.set({ hour: 12 }).offset;
+    ctx.strokeStyle = "#c0392b";
+    ctx.setLineDash([2, 3]);
+    this._days.forEach((day, i) => {
+      const prev = this._days[i - 1];
+      if (!prev || offset(prev) === offset(day)) {
+        return;
+      }
+      const x = this._x(i) - (this._x(1) - this._x(0)) / 2;
+      ctx.beginPath();
+      ctx.moveTo(x, plot.y);
+      ctx.lineTo(x, plot.y + plot.h);
+      ctx.stroke();
+      const shift = (offset(day) - offset(prev)) / 60;
+      ctx.fillText(`${shift > 0 ? "+" : ""}${shift}h`, x + 2, plot.y + 10);
+    });
+    ctx.setLineDash([]);
+
+    // selected day
+    const selected = this._selected;
+    const i = selected
+      ? this._days.findIndex(day => day.date.hasSame(selected, "day"))
+      : -1;
+    if (i !== -1) {
+      ctx.strokeStyle = "#000";
+      ctx.beginPath();
+      ctx.moveTo(this._x(i), plot.y);
+      ctx.lineTo(this._x(i), plot.y + plot.h);
+      ctx.stroke();
+    }
+  }
+}
+
+export default AnnualChart;
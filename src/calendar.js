@@ -0,0 +1,193 @@
+import { DateTime } from "luxon";
+
+/**
+ * First day of the Gregorian calendar, 1582-10-15, packed as yyyymmdd to
+ * compare dates against
+ * @type {number}
+ */
+const GREGORIAN_START = 15821015;
+
+/**
+ * Day after the last day of the Julian calendar, 1582-10-04, packed as
+ * yyyymmdd; the ten days from here up to GREGORIAN_START were skipped
+ * @type {number}
+ */
+const JULIAN_END = 15821005;
+
+/**
+ * Years before this get a fixed offset instead of their IANA time zone
+ * @type {number}
+ */
+const FIXED_ZONE_BEFORE = 1000;
+
+/**
+ * Julian Day at the start of a calendar date
+ * Meeus, Astronomical Algorithms (2nd ed.) Chapter 7
+ * @param {number} year Astronomical year: 0 is 1 BC, -1 is 2 BC and so on
+ * @param {number} month Month, 1-12
+ * @param {number} day Day of the month, may have a fraction
+ * @param {boolean} julian Whether the date is in the Julian calendar rather
+ * than the (proleptic) Gregorian one
+ * @returns {number} Julian Day
+ */
+export function calendarToJD(year, month, day, julian) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const A = Math.floor(year / 100);
+  const B = julian ? 0 : 2 - A + Math.floor(A / 4);
+  return (
+    Math.floor(365.25 * (year + 4716)) +
+    Math.floor(30.6001 * (month + 1)) +
+    day +
+    B -
+    1524.5
+  );
+}
+
+/**
+ * Calendar date of a Julian Day
+ * Meeus, Astronomical Algorithms (2nd ed.) Chapter 7
+ * @param {number} jd Julian Day
+ * @param {boolean} julian Whether to give the date in the Julian calendar
+ * rather than the (proleptic) Gregorian one
+ * @returns {{year: number, month: number, day: number}} Astronomical year,
+ * month and day of the month (with a fraction)
+ */
+export function jdToCalendar(jd, julian) {
+  const Z = Math.floor(jd + 0.5);
+  const F = jd + 0.5 - Z;
+  let A = Z;
+  if (!julian) {
+    const alpha = Math.floor((Z - 1867216.25) / 36524.25);
+    A = Z + 1 + alpha - Math.floor(alpha / 4);
+  }
+  const B = A + 1524;
+  const C = Math.floor((B - 122.1) / 365.25);
+  const D = Math.floor(365.25 * C);
+  const E = Math.floor((B - D) / 30.6001);
+  const month = E < 14 ? E - 1 : E - 13;
+  return {
+    year: month > 2 ? C - 4716 : C - 4715,
+    month: month,
+    day: B - D - Math.floor(30.6001 * E) + F
+  };
+}
+
+/**
+ * Zone to use for dates in a year. luxon works out IANA zone offsets through
+ * `Intl`, which gets years around and before 1 AD wrong; for early years, use
+ * the zone's offset in FIXED_ZONE_BEFORE (its local mean time, long before
+ * standard time) as a fixed offset instead.
+ * @param {string} zone IANA time zone
+ * @param {number} year Astronomical year
+ * @returns {string} `zone`, or a fixed offset zone like "UTC-0:01"
+ */
+export function zoneForYear(zone, year) {
+  if (year >= FIXED_ZONE_BEFORE) {
+    return zone;
+  }
+  const offset = Math.round(
+    DateTime.fromObject({
+      year: FIXED_ZONE_BEFORE,
+      month: 1,
+      day: 1,
+      zone: zone
+    }).offset
+  );
+  const minutes = Math.abs(offset);
+  const pad = n => n.toString().padStart(2, "0");
+  return (
+    `UTC${offset < 0 ? "-" : "+"}` +
+    `${Math.floor(minutes / 60)}:${pad(minutes % 60)}`
+  );
+}
+
+/**
+ * Whether a date falls before the switch to the Gregorian calendar, so that
+ * historical sources give it in the Julian calendar
+ * @param {DateTime} date Day in question
+ * @returns {boolean}
+ */
+export function isJulianCalendar(date) {
+  return date.year * 10000 + date.month * 100 + date.day < GREGORIAN_START;
+}
+
+/**
+ * Day from a calendar date as written at the time: in the Julian calendar
+ * before 1582-10-15, the Gregorian one from then on
+ * @param {number} year Astronomical year: 0 is 1 BC, -1 is 2 BC and so on
+ * @param {number} month Month, 1-12
+ * @param {number} day Day of the month
+ * @param {string} zone IANA time zone
+ * @returns {DateTime} Start of the day; luxon itself counts in the proleptic
+ * Gregorian calendar
+ */
+export function fromHistoricalDate(year, month, day, zone) {
+  const packed = year * 10000 + month * 100 + day;
+  if (packed >= JULIAN_END && packed < GREGORIAN_START) {
+    throw new Error(
+      `${year}-${month}-${day} was skipped by the calendar reform`
+    );
+  }
+  const julian = packed < JULIAN_END;
+  const jd = calendarToJD(year, month, day, julian);
+  const check = jdToCalendar(jd, julian);
+  if (check.year !== year || check.month !== month || check.day !== day) {
+    throw new Error(`${year}-${month}-${day} is not a date in either calendar`);
+  }
+  const gregorian = jdToCalendar(jd, false);
+  return DateTime.fromObject({
+    year: gregorian.year,
+    month: gregorian.month,
+    day: gregorian.day,
+    zone: zoneForYear(zone, gregorian.year)
+  });
+}
+
+/**
+ * Calendar date of a day as written at the time: in the Julian calendar
+ * before 1582-10-15, the Gregorian one from then on
+ * @param {DateTime} date Day in question
+ * @returns {{year: number, month: number, day: number, julian: boolean}}
+ * Astronomical year, month, day of the month and which calendar it is in
+ */
+export function toHistoricalDate(date) {
+  const julian = isJulianCalendar(date);
+  if (!julian) {
+    return { year: date.year, month: date.month, day: date.day, julian };
+  }
+  const jd = calendarToJD(date.year, date.month, date.day, false);
+  return { ...jdToCalendar(jd, true), julian };
+}
+
+/**
+ * Read a date written as [±]YYYY-MM-DD, with astronomical years (0 is 1 BC)
+ * and in the calendar in use at the time
+ * @param {string} text Date as typed
+ * @param {string} zone IANA time zone
+ * @returns {DateTime} Start of the day
+ */
+export function parseHistoricalDate(text, zone) {
+  const match = /^\s*([+-]?\d{1,6})-(\d{1,2})-(\d{1,2})\s*$/.exec(text);
+  if (!match) {
+    throw new Error("Expected a date like 2024-06-21 or -2500-06-21");
+  }
+  const [year, month, day] = match.slice(1).map(n => parseInt(n, 10));
+  return fromHistoricalDate(year, month, day, zone);
+}
+
+/**
+ * Write a day as [-]YYYY-MM-DD in the calendar in use at the time
+ * @param {DateTime} date Day in question
+ * @returns {string}
+ */
+export function formatHistoricalDate(date) {
+  const { year, month, day } = toHistoricalDate(date);
+  const pad = (n, width) => n.toString().padStart(width, "0");
+  return (
+    `${year < 0 ? "-" : ""}${pad(Math.abs(year), 4)}-` +
+    `${pad(month, 2)}-${pad(day, 2)}`
+  );
+}
@@ -0,0 +1,332 @@
+import { DateTime, FixedOffsetZone } from "luxon";
+import {
+  azimuth,
+  maskedRiseSet,
+  SPA,
+  sunAnalemma,
+  sunriseSunset,
+  sunTrack,
+  sunYear
+} from "./spa";
+import { findAlignments, standingLine } from "./alignment";
+import { annualEnergy, hourlyEnergy } from "./irradiance";
+import { moonriseMoonset } from "./moon";
+import { isochroneGrid, isochroneLines } from "./isochrones";
+import { dayNight } from "./terminator";
+import { clearIERS, loadIERS } from "./iers";
+import HorizonProfile from "./horizon";
+import { terrainHorizon, TerrainTiles } from "./terrain";
+
+/**
+ * Key marking a packed DateTime
+ * @type {string}
+ */
+const DATE_TAG = "$date";
+
+/**
+ * Jobs that go ahead of the others in the queue, in the order they came: the
+ * observer's position is what the map shows first and shouldn't wait behind
+ * the sweeps the last position set off, and UT1-UTC values and elevation
+ * tiles have to be in place before the calculations that use them
+ * @type {Set<string>}
+ */
+const URGENT_JOBS = new Set([
+  "position",
+  "loadIERS",
+  "clearIERS",
+  "addTerrainTile"
+]);
+
+/**
+ * Elevation tiles the page has handed over, for `terrainHorizon`
+ * @type {TerrainTiles}
+ */
+const terrain = new TerrainTiles();
+
+/**
+ * Heavy calculations that can run off the main thread, by name. Each returns
+ * its result; long sweeps are generators instead, yielding between chunks of
+ * work so a queue can stop them early when a newer request makes them
+ * pointless, and returning the result at the end.
+ * @type {Object<string, function(...*): (*|Generator)>}
+ */
+export const JOBS = {
+  // every field is worked out here, since only the data gets posted back
+  position(date, lat, lng, elevation, height, temp, pressure, algorithm) {
+    return new SPA(
+      date,
+      lat,
+      lng,
+      elevation,
+      temp,
+      pressure,
+      null,
+      null,
+      algorithm,
+      height
+    ).complete();
+  },
+
+  sunriseSunset(date, lat, lng, height) {
+    return sunriseSunset(date, lat, lng, height);
+  },
+
+  // rise and set times with the azimuths they happen at, for several days
+  *riseSetAzimuths(days, lat, lng, elevation, height) {
+    let results = [];
+    for (const day of days) {
+      const { sunRise, sunSet } = sunriseSunset(day, lat, lng, height);
+      const at = time => time && azimuth(time, elevation, lat, lng);
+      results.push({
+        sunRise: sunRise,
+        sunSet: sunSet,
+        riseAzimuth: at(sunRise),
+        setAzimuth: at(sunSet)
+      });
+      yield;
+    }
+    return results;
+  },
+
+  *sunYear(year, zone, lat, lng, height) {
+    let days = [];
+    for (let month = 1; month <= 12; month++) {
+      days = days.concat(sunYear(year, zone, lat, lng, height, "spa", month));
+      yield;
+    }
+    return days;
+  },
+
+  *sunAnalemma(year, zone, minutes, elevation, lat, lng) {
+    let samples = [];
+    for (let month = 1; month <= 12; month++) {
+      samples = samples.concat(
+        sunAnalemma(year, zone, minutes, elevation, lat, lng, month)
+      );
+      yield;
+    }
+    return samples;
+  },
+
+  // a day's track for each of several dates
+  *sunTracks(dates, elevation, lat, lng, step) {
+    let tracks = [];
+    for (const date of dates) {
+      tracks.push(sunTrack(date, elevation, lat, lng, step));
+      yield;
+    }
+    return tracks;
+  },
+
+  // the profile travels as its points
+  maskedRiseSet(date, lat, lng, elevation, temp, pressure, points) {
+    const profile = new HorizonProfile(points);
+    return maskedRiseSet(date, lat, lng, elevation, temp, pressure, profile);
+  },
+
+  hourlyEnergy(date, lat, lng, elevation, panel, options) {
+    return hourlyEnergy(date, lat, lng, elevation, panel, options);
+  },
+
+  *annualEnergy(year, zone, lat, lng, elevation, panel, options) {
+    return yield* annualEnergy(year, zone, lat, lng, elevation, panel, options);
+  },
+
+  *findAlignments(observer, target, year, zone, options) {
+    return yield* findAlignments(observer, target, year, zone, options);
+  },
+
+  standingLine(target, date, options) {
+    return standingLine(target, date, options);
+  },
+
+  moonriseMoonset(date, lat, lng, elevation) {
+    return moonriseMoonset(date, lat, lng, elevation);
+  },
+
+  // the grid goes a row at a time, the contouring in one go at the end
+  *isochrones(date, bounds, event) {
+    const grid = yield* isochroneGrid(date, bounds, event);
+    return isochroneLines(grid);
+  },
+
+  dayNight(date, algorithm) {
+    return dayNight(date, algorithm);
+  },
+
+  // UT1-UTC values are module state, so each thread needs its own copy
+  loadIERS(text) {
+    return loadIERS(text);
+  },
+
+  clearIERS() {
+    clearIERS();
+  },
+
+  // tiles are module state too, and only go over once; returns how many
+  // there are now
+  addTerrainTile(name, buffer) {
+    terrain.addTile(name, buffer);
+    return terrain.count;
+  },
+
+  // the profile travels back as its points, null off the loaded tiles
+  terrainHorizon(lat, lng, eyeHeight) {
+    const profile = terrainHorizon(terrain, lat, lng, eyeHeight);
+    return profile && profile.points;
+  }
+};
+
+/**
+ * Turn a value into one that survives being posted to or from a worker:
+ * DateTimes become tagged milliseconds and zones, methods are dropped and
+ * class instances become plain objects. Fixed-offset zones go as minutes,
+ * since luxon can't read back its own names for offsets like -0:01.
+ * ArrayBuffers can be posted as they are.
+ * @param {*} value
+ * @returns {*}
+ */
+export function pack(value) {
+  if (DateTime.isDateTime(value)) {
+    const zone = value.zone.type === "fixed" ? value.offset : value.zoneName;
+    return { [DATE_TAG]: value.toMillis(), zone: zone };
+  }
+  if (value instanceof ArrayBuffer) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(pack);
+  }
+  if (value && typeof value === "object") {
+    let packed = {};
+    Object.keys(value).forEach(key => {
+      if (typeof value[key] !== "function") {
+        packed[key] = pack(value[key]);
+      }
+    });
+    return packed;
+  }
+  return value;
+}
+
+/**
+ * Undo `pack`, bringing DateTimes back
+ * @param {*} value
+ * @returns {*}
+ */
+export function unpack(value) {
+  if (value instanceof ArrayBuffer) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(unpack);
+  }
+  if (value && typeof value === "object") {
+    if (DATE_TAG in value) {
+      const zone =
+        typeof value.zone === "number"
+          ? FixedOffsetZone.instance(value.zone)
+          : value.zone;
+      return DateTime.fromMillis(value[DATE_TAG], { zone: zone });
+    }
+    let unpacked = {};
+    Object.keys(value).forEach(key => {
+      unpacked[key] = unpack(value[key]);
+    });
+    return unpacked;
+  }
+  return value;
+}
+
+/**
+ * Run a job as a generator, whether or not it is one
+ * @param {string} job Name in `JOBS`
+ * @param {Array} args Arguments for the job
+ * @returns {Generator} Steps of the job, returning its result
+ */
+function* jobSteps(job, args) {
+  const value = JOBS[job](...args);
+  if (Object.prototype.toString.call(value) === "[object Generator]") {
+    return yield* value;
+  }
+  return value;
+}
+
+/**
+ * Runs jobs one chunk at a time, first come first served apart from
+ * `URGENT_JOBS`, giving way to the event loop between chunks so new requests
+ * and cancellations get in.
+ * Each request belongs to a channel (say "annual" for the annual chart), and
+ * a new request on a channel drops any older one still waiting or running.
+ */
+export class JobQueue {
+  /**
+   * @param {function({id: number, result: *, error: ?string})} respond
+   * Called with each finished job's result, or its error message
+   */
+  constructor(respond) {
+    this._respond = respond;
+    this._tasks = [];
+    this._timer = null;
+  }
+
+  /**
+   * Queue a job, replacing any older one on the same channel
+   * @param {number} id Request id to answer with
+   * @param {string} channel Channel the request belongs to
+   * @param {string} job Name in `JOBS`
+   * @param {Array} args Arguments for the job
+   */
+  add(id, channel, job, args) {
+    this.cancel(channel);
+    if (!JOBS[job]) {
+      this._respond({ id: id, error: `Unknown job "${job}"` });
+      return;
+    }
+    const task = {
+      id: id,
+      channel: channel,
+      urgent: URGENT_JOBS.has(job),
+      steps: jobSteps(job, args)
+    };
+    // a sweep cut in on part way through carries on where it left off
+    const at = task.urgent
+      ? this._tasks.findIndex(other => !other.urgent)
+      : -1;
+    this._tasks.splice(at === -1 ? this._tasks.length : at, 0, task);
+    this._schedule();
+  }
+
+  /**
+   * Drop a channel's job, whether waiting or part way through
+   * @param {string} channel
+   */
+  cancel(channel) {
+    this._tasks = this._tasks.filter(task => task.channel !== channel);
+  }
+
+  _schedule() {
+    if (this._timer === null && this._tasks.length) {
+      this._timer = setTimeout(() => this._step(), 0);
+    }
+  }
+
+  _step() {
+    this._timer = null;
+    const task = this._tasks[0];
+    if (!task) {
+      return;
+    }
+    try {
+      const { done, value } = task.steps.next();
+      if (done) {
+        this._tasks.shift();
+        this._respond({ id: task.id, result: value });
+      }
+    } catch (err) {
+      this._tasks.shift();
+      this._respond({ id: task.id, error: err.message });
+    }
+    this._schedule();
+  }
+}
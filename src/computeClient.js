@@ -0,0 +1,110 @@
+import { JobQueue, pack, unpack } from "./compute";
+
+/**
+ * The page's side of the compute worker: sends jobs (see `JOBS`) to it and
+ * hands back their results. Requests go on named channels, and a new request
+ * on a channel supersedes the last one, which is dropped and never settles;
+ * so a burst of clicks only costs the work of the last one. Where workers
+ * aren't available (pages opened from disk, say), the jobs run on this
+ * thread instead, still in chunks.
+ */
+class ComputeClient {
+  /**
+   * @param {string} url Script of the worker bundle
+   */
+  constructor(url) {
+    this._pending = new Map();
+    this._latest = new Map();
+    this._nextId = 1;
+    this._worker = null;
+    this._queue = null;
+    try {
+      this._worker = new Worker(url);
+      this._worker.onmessage = e => this._settle(e.data);
+      // a worker that fails to load or dies just means slower answers, and a
+      // job's own errors come back through its promise
+      this._worker.onerror = () => this._runLocally();
+    } catch (err) {
+      this._runLocally();
+    }
+  }
+
+  /**
+   * Start a job, superseding the last request on its channel
+   * @param {string} channel Channel for the request, e.g. "annual"
+   * @param {string} job Name in `JOBS`
+   * @param {...*} args Arguments for the job
+   * @returns {Promise<*>} Result of the job; never settles if a newer request
+   * on the channel supersedes it
+   */
+  run(channel, job, ...args) {
+    const id = this._nextId++;
+    this._drop(channel);
+    this._latest.set(channel, id);
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { channel, job, args, resolve, reject });
+      this._send(id, channel, job, args);
+    });
+  }
+
+  /**
+   * Abandon the request on a channel, if there is one
+   * @param {string} channel
+   */
+  cancel(channel) {
+    this._drop(channel);
+    if (this._worker) {
+      this._worker.postMessage({ type: "cancel", channel: channel });
+    } else {
+      this._queue.cancel(channel);
+    }
+  }
+
+  _drop(channel) {
+    this._pending.delete(this._latest.get(channel));
+    this._latest.delete(channel);
+  }
+
+  _send(id, channel, job, args) {
+    if (this._worker) {
+      this._worker.postMessage({
+        type: "run",
+        id: id,
+        channel: channel,
+        job: job,
+        args: pack(args)
+      });
+    } else {
+      // packing here too keeps results the same shape as from the worker
+      this._queue.add(id, channel, job, unpack(pack(args)));
+    }
+  }
+
+  _settle({ id, result, error }) {
+    const request = this._pending.get(id);
+    if (!request) {
+      return;
+    }
+    this._pending.delete(id);
+    this._latest.delete(request.channel);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(unpack(result));
+    }
+  }
+
+  // move to a queue on this thread, sending it whatever the worker had
+  _runLocally() {
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._queue = new JobQueue(reply => this._settle(pack(reply)));
+    this._pending.forEach((request, id) =>
+      this._send(id, request.channel, request.job, request.args)
+    );
+  }
+}
+
+export default ComputeClient;
@@ -1,232 +1,231 @@
-const deltaT = {
+const deltaT = [
   // from http://maia.usno.navy.mil/ser7/deltat.preds
   // historic at http://maia.usno.navy.mil/ser7/deltat.data
   // TAI-UTC at http://maia.usno.navy.mil/ser7/deltat.data
   // UT1-UTC at http://maia.usno.navy.mil/ser7/mark3.out
   // explanation at: http://maia.usno.navy.mil/
   // further data at: http://maia.usno.navy.mil/ser7/ser7.dat
-  first: { year: "1973.25", data: 43.6737 },
-  "1973.25": 43.6737,
-  "1973.50": 43.9562,
-  "1973.75": 44.1982,
-  "1974.00": 44.4841,
-  "1974.25": 44.7386,
-  "1974.50": 44.9986,
-  "1974.75": 45.2064,
-  "1975.00": 45.4761,
-  "1975.25": 45.7375,
-  "1975.50": 45.982,
-  "1975.75": 46.1825,
-  "1976.00": 46.4567,
-  "1976.25": 46.7302,
-  "1976.50": 46.997,
-  "1976.75": 47.2362,
-  "1977.00": 47.5214,
-  "1977.25": 47.7781,
-  "1977.50": 48.0348,
-  "1977.75": 48.246,
-  "1978.00": 48.5344,
-  "1978.25": 48.8365,
-  "1978.50": 49.1013,
-  "1978.75": 49.307,
-  "1979.00": 49.5861,
-  "1979.25": 49.8556,
-  "1979.50": 50.1019,
-  "1979.75": 50.2968,
-  "1980.00": 50.5387,
-  "1980.25": 50.7658,
-  "1980.50": 50.9761,
-  "1980.75": 51.1538,
-  "1981.00": 51.3808,
-  "1981.25": 51.5985,
-  "1981.50": 51.8133,
-  "1981.75": 51.9603,
-  "1982.00": 52.1668,
-  "1982.25": 52.368,
-  "1982.50": 52.5751,
-  "1982.75": 52.734,
-  "1983.00": 52.9565,
-  "1983.25": 53.2197,
-  "1983.50": 53.4335,
-  "1983.75": 53.5845,
-  "1984.00": 53.7882,
-  "1984.25": 53.9443,
-  "1984.50": 54.0856,
-  "1984.75": 54.1914,
-  "1985.00": 54.3427,
-  "1985.25": 54.4898,
-  "1985.50": 54.6355,
-  "1985.75": 54.7174,
-  "1986.00": 54.8712,
-  "1986.25": 54.9997,
-  "1986.50": 55.1132,
-  "1986.75": 55.1898,
-  "1987.00": 55.3222,
-  "1987.25": 55.4629,
-  "1987.50": 55.5812,
-  "1987.75": 55.6656,
-  "1988.00": 55.8197,
-  "1988.25": 55.9663,
-  "1988.50": 56.0939,
-  "1988.75": 56.1611,
-  "1989.00": 56.3,
-  "1989.25": 56.4283,
-  "1989.50": 56.5697,
-  "1989.75": 56.6739,
-  "1990.00": 56.8553,
-  "1990.25": 57.0471,
-  "1990.50": 57.2226,
-  "1990.75": 57.3643,
-  "1991.00": 57.5653,
-  "1991.25": 57.7711,
-  "1991.50": 57.9576,
-  "1991.75": 58.1043,
-  "1992.00": 58.3092,
-  "1992.25": 58.5401,
-  "1992.50": 58.741,
-  "1992.75": 58.8986,
-  "1993.00": 59.1218,
-  "1993.25": 59.3574,
-  "1993.50": 59.585,
-  "1993.75": 59.7588,
-  "1994.00": 59.9845,
-  "1994.25": 60.2042,
-  "1994.50": 60.4012,
-  "1994.75": 60.5578,
-  "1995.00": 60.7853,
-  "1995.25": 61.0277,
-  "1995.50": 61.2454,
-  "1995.75": 61.4036,
-  "1996.00": 61.6287,
-  "1996.25": 61.8132,
-  "1996.50": 61.9969,
-  "1996.75": 62.1202,
-  "1997.00": 62.295,
-  "1997.25": 62.4754,
-  "1997.50": 62.6571,
-  "1997.75": 62.7926,
-  "1998.00": 62.9659,
-  "1998.25": 63.1462,
-  "1998.50": 63.2844,
-  "1998.75": 63.3422,
-  "1999.00": 63.4673,
-  "1999.25": 63.5679,
-  "1999.50": 63.6642,
-  "1999.75": 63.7147,
-  "2000.00": 63.8285,
-  "2000.25": 63.9075,
-  "2000.50": 63.9799,
-  "2000.75": 64.0093,
-  "2001.00": 64.0908,
-  "2001.25": 64.1584,
-  "2001.50": 64.2117,
-  "2001.75": 64.2223,
-  "2002.00": 64.2998,
-  "2002.25": 64.3735,
-  "2002.50": 64.4132,
-  "2002.75": 64.4168,
-  "2003.00": 64.4734,
-  "2003.25": 64.5269,
-  "2003.50": 64.5512,
-  "2003.75": 64.5415,
-  "2004.00": 64.5736,
-  "2004.25": 64.6176,
-  "2004.50": 64.653,
-  "2004.75": 64.64,
-  "2005.00": 64.6876,
-  "2005.25": 64.7575,
-  "2005.50": 64.7995,
-  "2005.75": 64.7921,
-  "2006.00": 64.8452,
-  "2006.25": 64.9175,
-  "2006.50": 64.9895,
-  "2006.75": 65.0371,
-  "2007.00": 65.1464,
-  "2007.25": 65.2494,
-  "2007.50": 65.3413,
-  "2007.75": 65.3711,
-  "2008.00": 65.4573,
-  "2008.25": 65.545,
-  "2008.50": 65.6287,
-  "2008.75": 65.676,
-  "2009.00": 65.7768,
-  "2009.25": 65.8595,
-  "2009.50": 65.9509,
-  "2009.75": 65.9839,
-  "2010.00": 66.0699,
-  "2010.25": 66.1683,
-  "2010.50": 66.2409,
-  "2010.75": 66.2441,
-  "2011.00": 66.3246,
-  "2011.25": 66.3957,
-  "2011.50": 66.4749,
-  "2011.75": 66.5056,
-  "2012.00": 66.603,
-  "2012.25": 66.6925,
-  "2012.50": 66.7708,
-  "2012.75": 66.8103,
-  "2013.00": 66.9069,
-  "2013.25": 67.0258,
-  "2013.50": 67.1266,
-  "2013.75": 67.1717,
-  "2014.00": 67.281,
-  "2014.25": 67.389,
-  "2014.50": 67.4858,
-  "2014.75": 67.5353,
-  "2015.00": 67.6439,
-  "2015.25": 67.7591,
-  "2015.50": 67.8606,
-  "2015.75": 67.9546,
-  "2016.00": 68.1024,
-  "2016.25": 68.2664,
-  "2016.50": 68.3964,
-  "2016.75": 68.463,
-  "2017.00": 68.5927,
-  "2017.25": 68.7135,
-  "2017.50": 68.8245,
-  "2017.75": 68.8689,
-  "2018.00": 68.9676,
-  "2018.25": 69.0499,
-  "2018.50": 69.1134,
-  "2018.75": 69.1356,
-  "2019.00": 69.2202,
-  "2019.25": 69.3032,
-  "2019.50": 69.62,
-  "2019.75": 69.71,
-  "2020.00": 69.87,
-  "2020.25": 70.03,
-  "2020.50": 70.16,
-  "2020.75": 70.24,
-  "2021.00": 70.39,
-  "2021.25": 70.55,
-  "2021.50": 70.68,
-  "2021.75": 70.76,
-  "2022.00": 70.91,
-  "2022.25": 71.06,
-  "2022.50": 71.18,
-  "2022.75": 71.25,
-  "2023.00": 71.4,
-  "2023.25": 71.54,
-  "2023.50": 71.67,
-  "2023.75": 71.74,
-  "2024.00": 71.88,
-  "2024.25": 72.03,
-  "2024.50": 72.15,
-  "2024.75": 72.22,
-  "2025.00": 72.36,
-  "2025.25": 72.5,
-  "2025.50": 72.62,
-  "2025.75": 72.69,
-  "2026.00": 72.83,
-  "2026.25": 72.98,
-  "2026.50": 73.1,
-  "2026.75": 73.17,
-  "2027.00": 73.32,
-  "2027.25": 73.46,
-  "2027.50": 73.58,
-  "2027.75": 73.66,
-  last: { year: "2027.75", data: 73.66 }
-};
+  // [decimal year, ∆T seconds], quarterly
+  [1973.25, 43.6737],
+  [1973.5, 43.9562],
+  [1973.75, 44.1982],
+  [1974, 44.4841],
+  [1974.25, 44.7386],
+  [1974.5, 44.9986],
+  [1974.75, 45.2064],
+  [1975, 45.4761],
+  [1975.25, 45.7375],
+  [1975.5, 45.982],
+  [1975.75, 46.1825],
+  [1976, 46.4567],
+  [1976.25, 46.7302],
+  [1976.5, 46.997],
+  [1976.75, 47.2362],
+  [1977, 47.5214],
+  [1977.25, 47.7781],
+  [1977.5, 48.0348],
+  [1977.75, 48.246],
+  [1978, 48.5344],
+  [1978.25, 48.8365],
+  [1978.5, 49.1013],
+  [1978.75, 49.307],
+  [1979, 49.5861],
+  [1979.25, 49.8556],
+  [1979.5, 50.1019],
+  [1979.75, 50.2968],
+  [1980, 50.5387],
+  [1980.25, 50.7658],
+  [1980.5, 50.9761],
+  [1980.75, 51.1538],
+  [1981, 51.3808],
+  [1981.25, 51.5985],
+  [1981.5, 51.8133],
+  [1981.75, 51.9603],
+  [1982, 52.1668],
+  [1982.25, 52.368],
+  [1982.5, 52.5751],
+  [1982.75, 52.734],
+  [1983, 52.9565],
+  [1983.25, 53.2197],
+  [1983.5, 53.4335],
+  [1983.75, 53.5845],
+  [1984, 53.7882],
+  [1984.25, 53.9443],
+  [1984.5, 54.0856],
+  [1984.75, 54.1914],
+  [1985, 54.3427],
+  [1985.25, 54.4898],
+  [1985.5, 54.6355],
+  [1985.75, 54.7174],
+  [1986, 54.8712],
+  [1986.25, 54.9997],
+  [1986.5, 55.1132],
+  [1986.75, 55.1898],
+  [1987, 55.3222],
+  [1987.25, 55.4629],
+  [1987.5, 55.5812],
+  [1987.75, 55.6656],
+  [1988, 55.8197],
+  [1988.25, 55.9663],
+  [1988.5, 56.0939],
+  [1988.75, 56.1611],
+  [1989, 56.3],
+  [1989.25, 56.4283],
+  [1989.5, 56.5697],
+  [1989.75, 56.6739],
+  [1990, 56.8553],
+  [1990.25, 57.0471],
+  [1990.5, 57.2226],
+  [1990.75, 57.3643],
+  [1991, 57.5653],
+  [1991.25, 57.7711],
+  [1991.5, 57.9576],
+  [1991.75, 58.1043],
+  [1992, 58.3092],
+  [1992.25, 58.5401],
+  [1992.5, 58.741],
+  [1992.75, 58.8986],
+  [1993, 59.1218],
+  [1993.25, 59.3574],
+  [1993.5, 59.585],
+  [1993.75, 59.7588],
+  [1994, 59.9845],
+  [1994.25, 60.2042],
+  [1994.5, 60.4012],
+  [1994.75, 60.5578],
+  [1995, 60.7853],
+  [1995.25, 61.0277],
+  [1995.5, 61.2454],
+  [1995.75, 61.4036],
+  [1996, 61.6287],
+  [1996.25, 61.8132],
+  [1996.5, 61.9969],
+  [1996.75, 62.1202],
+  [1997, 62.295],
+  [1997.25, 62.4754],
+  [1997.5, 62.6571],
+  [1997.75, 62.7926],
+  [1998, 62.9659],
+  [1998.25, 63.1462],
+  [1998.5, 63.2844],
+  [1998.75, 63.3422],
+  [1999, 63.4673],
+  [1999.25, 63.5679],
+  [1999.5, 63.6642],
+  [1999.75, 63.7147],
+  [2000, 63.8285],
+  [2000.25, 63.9075],
+  [2000.5, 63.9799],
+  [2000.75, 64.0093],
+  [2001, 64.0908],
+  [2001.25, 64.1584],
+  [2001.5, 64.2117],
+  [2001.75, 64.2223],
+  [2002, 64.2998],
+  [2002.25, 64.3735],
+  [2002.5, 64.4132],
+  [2002.75, 64.4168],
+  [2003, 64.4734],
+  [2003.25, 64.5269],
+  [2003.5, 64.5512],
+  [2003.75, 64.5415],
+  [2004, 64.5736],
+  [2004.25, 64.6176],
+  [2004.5, 64.653],
+  [2004.75, 64.64],
+  [2005, 64.6876],
+  [2005.25, 64.7575],
+  [2005.5, 64.7995],
+  [2005.75, 64.7921],
+  [2006, 64.8452],
+  [2006.25, 64.9175],
+  [2006.5, 64.9895],
+  [2006.75, 65.0371],
+  [2007, 65.1464],
+  [2007.25, 65.2494],
+  [2007.5, 65.3413],
+  [2007.75, 65.3711],
+  [2008, 65.4573],
+  [2008.25, 65.545],
+  [2008.5, 65.6287],
+  [2008.75, 65.676],
+  [2009, 65.7768],
+  [2009.25, 65.8595],
+  [2009.5, 65.9509],
+  [2009.75, 65.9839],
+  [2010, 66.0699],
+  [2010.25, 66.1683],
+  [2010.5, 66.2409],
+  [2010.75, 66.2441],
+  [2011, 66.3246],
+  [2011.25, 66.3957],
+  [2011.5, 66.4749],
+  [2011.75, 66.5056],
+  [2012, 66.603],
+  [2012.25, 66.6925],
+  [2012.5, 66.7708],
+  [2012.75, 66.8103],
+  [2013, 66.9069],
+  [2013.25, 67.0258],
+  [2013.5, 67.1266],
+  [2013.75, 67.1717],
+  [2014, 67.281],
+  [2014.25, 67.389],
+  [2014.5, 67.4858],
+  [2014.75, 67.5353],
+  [2015, 67.6439],
+  [2015.25, 67.7591],
+  [2015.5, 67.8606],
+  [2015.75, 67.9546],
+  [2016, 68.1024],
+  [2016.25, 68.2664],
+  [2016.5, 68.3964],
+  [2016.75, 68.463],
+  [2017, 68.5927],
+  [2017.25, 68.7135],
+  [2017.5, 68.8245],
+  [2017.75, 68.8689],
+  [2018, 68.9676],
+  [2018.25, 69.0499],
+  [2018.5, 69.1134],
+  [2018.75, 69.1356],
+  [2019, 69.2202],
+  [2019.25, 69.3032],
+  [2019.5, 69.62],
+  [2019.75, 69.71],
+  [2020, 69.87],
+  [2020.25, 70.03],
+  [2020.5, 70.16],
+  [2020.75, 70.24],
+  [2021, 70.39],
+  [2021.25, 70.55],
+  [2021.5, 70.68],
+  [2021.75, 70.76],
+  [2022, 70.91],
+  [2022.25, 71.06],
+  [2022.5, 71.18],
+  [2022.75, 71.25],
+  [2023, 71.4],
+  [2023.25, 71.54],
+  [2023.5, 71.67],
+  [2023.75, 71.74],
+  [2024, 71.88],
+  [2024.25, 72.03],
+  [2024.5, 72.15],
+  [2024.75, 72.22],
+  [2025, 72.36],
+  [2025.25, 72.5],
+  [2025.5, 72.62],
+  [2025.75, 72.69],
+  [2026, 72.83],
+  [2026.25, 72.98],
+  [2026.5, 73.1],
+  [2026.75, 73.17],
+  [2027, 73.32],
+  [2027.25, 73.46],
+  [2027.5, 73.58],
+  [2027.75, 73.66]
+];
 
 const earthConstants = {
   L: {
@@ -525,6 +524,172 @@ const nutationPeriodicTerms = [
   [2, -1, 0, 2, 2, -3, 0, 0, 0]
 ];
 
+const moonLongitudeDistanceTerms = [
+  // from Meeus, Astronomical Algorithms (2nd ed.) Table 47.A
+  // multiples of D, M, M', F, then Σl (1e-6 degrees) and Σr (1e-3 km)
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884],
+  [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0],
+  [2, -2, -1, 0, 2048, -4950],
+  [2, 0, 1, -2, -1773, 4130],
+  [2, 0, 0, 2, -1595, 0],
+  [4, -1, -1, 0, 1215, -3958],
+  [0, 0, 2, 2, -1110, 0],
+  [3, 0, -1, 0, -892, 3258],
+  [2, 1, 1, 0, -810, 2616],
+  [4, -1, -2, 0, 759, -1897],
+  [0, 2, -1, 0, -713, -2117],
+  [2, 2, -1, 0, -700, 2354],
+  [2, 1, -2, 0, 691, 0],
+  [2, -1, 0, -2, 596, 0],
+  [4, 0, 1, 0, 549, -1423],
+  [0, 0, 4, 0, 537, -1117],
+  [4, -1, 0, 0, 520, -1571],
+  [1, 0, -2, 0, -487, -1739],
+  [2, 1, 0, -2, -399, 0],
+  [0, 0, 2, -2, -381, -4421],
+  [1, 1, 1, 0, 351, 0],
+  [3, 0, -2, 0, -340, 0],
+  [4, 0, -3, 0, 330, 0],
+  [2, -1, 2, 0, 327, 0],
+  [0, 2, 1, 0, -323, 1165],
+  [1, 1, -1, 0, 299, 0],
+  [2, 0, 3, 0, 294, 0],
+  [2, 0, -1, -2, 0, 8752]
+];
+
+const moonLatitudeTerms = [
+  // from Meeus, Astronomical Algorithms (2nd ed.) Table 47.B
+  // multiples of D, M, M', F, then Σb (1e-6 degrees)
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749],
+  [0, 1, -1, 1, -1565],
+  [1, 0, 0, 1, -1491],
+  [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410],
+  [0, 1, 0, -1, -1344],
+  [1, 0, 0, -1, -1335],
+  [0, 0, 3, 1, 1107],
+  [4, 0, 0, -1, 1021],
+  [4, 0, -1, 1, 833],
+  [0, 0, 1, -3, 777],
+  [4, 0, -2, 1, 671],
+  [2, 0, 0, -3, 607],
+  [2, 0, 2, -1, 596],
+  [2, -1, 1, -1, 491],
+  [2, 0, -2, 1, -451],
+  [0, 0, 3, -1, 439],
+  [2, 0, 2, 1, 422],
+  [2, 0, -3, -1, 421],
+  [2, 1, -1, 1, -366],
+  [2, 1, 0, 1, -351],
+  [4, 0, 0, 1, 331],
+  [2, -1, 1, 1, 315],
+  [2, -2, 0, -1, 302],
+  [0, 0, 1, 3, -283],
+  [2, 1, 1, -1, -229],
+  [1, 1, 0, -1, 223],
+  [1, 1, 0, 1, 223],
+  [0, 1, -2, -1, -220],
+  [2, 1, -1, -1, -220],
+  [1, 0, 1, 1, -185],
+  [2, -1, -2, -1, 181],
+  [0, 1, 2, 1, -177],
+  [4, 0, -2, -1, 176],
+  [4, -1, -1, -1, 166],
+  [1, 0, 1, -1, -164],
+  [4, 0, 1, -1, 132],
+  [1, 0, -1, -1, -119],
+  [4, -1, 0, -1, 115],
+  [2, -2, 0, 1, 107]
+];
+
+/**
+ * TAI-UTC from the first day each value held, i.e. the leap seconds so far
+ * https://hpiers.obspm.fr/iers/bul/bulc/Leap_Second.dat
+ * @type {[string, number][]} [UTC date, seconds]
+ */
+const leapSeconds = [
+  ["1972-01-01", 10],
+  ["1972-07-01", 11],
+  ["1973-01-01", 12],
+  ["1974-01-01", 13],
+  ["1975-01-01", 14],
+  ["1976-01-01", 15],
+  ["1977-01-01", 16],
+  ["1978-01-01", 17],
+  ["1979-01-01", 18],
+  ["1980-01-01", 19],
+  ["1981-07-01", 20],
+  ["1982-07-01", 21],
+  ["1983-07-01", 22],
+  ["1985-07-01", 23],
+  ["1988-01-01", 24],
+  ["1990-01-01", 25],
+  ["1991-01-01", 26],
+  ["1992-07-01", 27],
+  ["1993-07-01", 28],
+  ["1994-07-01", 29],
+  ["1996-01-01", 30],
+  ["1997-07-01", 31],
+  ["1999-01-01", 32],
+  ["2006-01-01", 33],
+  ["2009-01-01", 34],
+  ["2012-07-01", 35],
+  ["2015-07-01", 36],
+  ["2017-01-01", 37]
+];
+
 /**
  * Earth's equatorial radius (a) - semi-major axis
  * @type {Meters}
@@ -549,14 +714,39 @@ const REFRACTION_AT_SUNSET = 0.5667;
  */
 const SUN_RADIUS = 0.26667;
 
+/**
+ * Geometric sun elevation marking the start of dawn and end of dusk for
+ * each kind of twilight
+ * @type {Object<string, Degrees>}
+ */
+const TWILIGHT = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+/**
+ * Geometric sun elevations bounding the golden hour and blue hour windows
+ * @type {Object<string, {upper: Degrees, lower: Degrees}>}
+ */
+const LIGHT_WINDOWS = {
+  golden: { upper: 6, lower: -4 },
+  blue: { upper: -4, lower: -6 }
+};
+
 export default {
   deltaT,
   earthConstants,
   FLATTENING,
+  leapSeconds,
+  LIGHT_WINDOWS,
+  moonLatitudeTerms,
+  moonLongitudeDistanceTerms,
   nutationPeriodicTerms,
   nutationXCoefficients,
   RADIUS_A,
   RADIUS_B,
   REFRACTION_AT_SUNSET,
-  SUN_RADIUS
+  SUN_RADIUS,
+  TWILIGHT
 };
@@ -0,0 +1,256 @@
+import data from "./data";
+import { iersDeltaT } from "./iers";
+
+/**
+ * Years over which a polynomial estimate is eased into the end of the table,
+ * so ∆T doesn't jump where the table stops
+ * @type {number}
+ */
+const BLEND_YEARS = 100;
+
+/**
+ * Uncertainty of values read from the table
+ * @type {number} seconds
+ */
+const TABLE_UNCERTAINTY = 0.1;
+
+/**
+ * Uncertainty of values worked out from loaded IERS data, allowing for the
+ * bulletin's predictions a few months ahead
+ * @type {number} seconds
+ */
+const IERS_UNCERTAINTY = 0.01;
+
+/**
+ * Espenak & Meeus polynomial fits for ∆T, as used for the NASA Five
+ * Millennium Canon of Solar Eclipses (-1999 to +3000). Each segment covers
+ * years up to `until`, evaluating a polynomial in `(y - origin) / scale`.
+ * https://eclipse.gsfc.nasa.gov/SEcat5/deltatpoly.html
+ * @type {{until: number, origin: number, scale: number, coeffs: number[]}[]}
+ */
+const POLYNOMIALS = [
+  { until: -500, origin: 1820, scale: 100, coeffs: [-20, 0, 32] },
+  {
+    until: 500,
+    origin: 0,
+    scale: 100,
+    coeffs: [
+      10583.6,
+      -1014.41,
+      33.78311,
+      -5.952053,
+      -0.1798452,
+      0.022174192,
+      0.0090316521
+    ]
+  },
+  {
+    until: 1600,
+    origin: 1000,
+    scale: 100,
+    coeffs: [
+      1574.2,
+      -556.01,
+      71.23472,
+      0.319781,
+      -0.8503463,
+      -0.005050998,
+      0.0083572073
+    ]
+  },
+  {
+    until: 1700,
+    origin: 1600,
+    scale: 1,
+    coeffs: [120, -0.9808, -0.01532, 1 / 7129]
+  },
+  {
+    until: 1800,
+    origin: 1700,
+    scale: 1,
+    coeffs: [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000]
+  },
+  {
+    until: 1860,
+    origin: 1800,
+    scale: 1,
+    coeffs: [
+      13.72,
+      -0.332447,
+      0.0068612,
+      0.0041116,
+      -0.00037436,
+      0.0000121272,
+      -0.0000001699,
+      0.000000000875
+    ]
+  },
+  {
+    until: 1900,
+    origin: 1860,
+    scale: 1,
+    coeffs: [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174]
+  },
+  {
+    until: 1920,
+    origin: 1900,
+    scale: 1,
+    coeffs: [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]
+  },
+  {
+    until: 1941,
+    origin: 1920,
+    scale: 1,
+    coeffs: [21.2, 0.84493, -0.0761, 0.0020936]
+  },
+  {
+    until: 1961,
+    origin: 1950,
+    scale: 1,
+    coeffs: [29.07, 0.407, -1 / 233, 1 / 2547]
+  },
+  {
+    until: 1986,
+    origin: 1975,
+    scale: 1,
+    coeffs: [45.45, 1.067, -1 / 260, -1 / 718]
+  },
+  {
+    until: 2005,
+    origin: 2000,
+    scale: 1,
+    coeffs: [
+      63.86,
+      0.3345,
+      -0.060374,
+      0.0017275,
+      0.000651814,
+      0.00002373599
+    ]
+  },
+  {
+    until: 2050,
+    origin: 2000,
+    scale: 1,
+    coeffs: [62.92, 0.32217, 0.005589]
+  }
+];
+
+/**
+ * Long-term parabola for ∆T (Morrison & Stephenson, 2004)
+ * @param {number} y Decimal year
+ * @returns {number} seconds
+ */
+function longTermDeltaT(y) {
+  return -20 + 32 * ((y - 1820) / 100) ** 2;
+}
+
+/**
+ * ∆T from the Espenak & Meeus polynomials
+ * @param {number} y Decimal year
+ * @returns {number} seconds
+ */
+function polynomialDeltaT(y) {
+  const segment = POLYNOMIALS.find(poly => y < poly.until);
+  if (segment) {
+    const u = (y - segment.origin) / segment.scale;
+    return segment.coeffs.reduce((acc, c, i) => acc + c * u ** i, 0);
+  }
+  if (y < 2150) {
+    // joins the 2005-2050 fit smoothly onto the long-term parabola
+    return longTermDeltaT(y) - 0.5628 * (2150 - y);
+  }
+  return longTermDeltaT(y);
+}
+
+/**
+ * Linearly interpolate the ∆T table
+ * @param {number} y Decimal year, inside the table
+ * @returns {number} seconds
+ */
+function tableDeltaT(y) {
+  const table = data.deltaT;
+  const i = table.findIndex(row => row[0] > y);
+  if (i === -1) {
+    return table[table.length - 1][1];
+  }
+  const [y0, dt0] = table[i - 1];
+  const [y1, dt1] = table[i];
+  return dt0 + ((dt1 - dt0) * (y - y0)) / (y1 - y0);
+}
+
+/**
+ * Rough 1σ uncertainty of ∆T away from the table, after Morrison & Stephenson
+ * (2004): about 0.8·t² seconds, t in centuries from the nearest well-observed
+ * epoch
+ * @param {number} y Decimal year
+ * @param {number} from Year the uncertainty grows from
+ * @returns {number} seconds
+ */
+function modelUncertainty(y, from) {
+  return TABLE_UNCERTAINTY + 0.8 * ((y - from) / 100) ** 2;
+}
+
+/**
+ * Decimal year of a date, e.g. 2024.5 around the start of July
+ * @param {DateTime} date
+ * @returns {number}
+ */
+function decimalYear(date) {
+  const daysInYear = date.isInLeapYear ? 366 : 365;
+  return date.year + (date.ordinal - 0.5) / daysInYear;
+}
+
+/**
+ * Estimate ∆T (TT-UT) for a date, with how far to trust it. Where IERS
+ * values are loaded ∆T comes from them; inside the quarterly table this
+ * interpolates the table; outside it, it uses the Espenak & Meeus
+ * polynomials, eased into the ends of the table.
+ * @param {DateTime} date Day in question
+ * @returns {{deltaT: number, uncertainty: number, source: string}} ∆T and
+ * its rough 1σ uncertainty in seconds, and where it came from: "iers",
+ * "table", "polynomial" or "extrapolated" (outside -1999 to +3000)
+ */
+export function deltaTEstimate(date) {
+  const measured = iersDeltaT(date);
+  if (measured !== null) {
+    return { deltaT: measured, uncertainty: IERS_UNCERTAINTY, source: "iers" };
+  }
+
+  const y = decimalYear(date);
+  const table = data.deltaT;
+  const [firstYear, firstDeltaT] = table[0];
+  const [lastYear, lastDeltaT] = table[table.length - 1];
+
+  if (y >= firstYear && y <= lastYear) {
+    return {
+      deltaT: tableDeltaT(y),
+      uncertainty: TABLE_UNCERTAINTY,
+      source: "table"
+    };
+  }
+
+  // shift the polynomial by its miss at the nearest end of the table,
+  // fading the shift out over BLEND_YEARS
+  const [edgeYear, edgeDeltaT] =
+    y < firstYear ? [firstYear, firstDeltaT] : [lastYear, lastDeltaT];
+  const miss = edgeDeltaT - polynomialDeltaT(edgeYear);
+  const fade = Math.max(0, 1 - Math.abs(y - edgeYear) / BLEND_YEARS);
+
+  // the past is pinned down back to about 1820 by telescopic timings
+  const knownFrom = y < firstYear ? Math.max(y, 1820) : lastYear;
+  return {
+    deltaT: polynomialDeltaT(y) + miss * fade,
+    uncertainty: modelUncertainty(y, knownFrom),
+    source: y < -1999 || y > 3000 ? "extrapolated" : "polynomial"
+  };
+}
+
+/**
+ * Get the ∆T (TT-UT) for a given day
+ * @param {DateTime} date Day in question
+ * @returns {number} ∆T in seconds
+ */
+export function deltaT(date) {
+  return deltaTEstimate(date).deltaT;
+}
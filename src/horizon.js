@@ -0,0 +1,152 @@
+import { limit_degrees } from "./util";
+
+/**
+ * A horizon profile: the altitude of the visible horizon (hills, buildings)
+ * as a function of azimuth, linearly interpolated between points
+ */
+class HorizonProfile {
+  /**
+   * @param {{azimuth: Degrees, altitude: Degrees, distance: ?Meters}[]} points
+   * Horizon points; `distance` to the obstruction is optional
+   */
+  constructor(points) {
+    this.points = points
+      .map(pt => ({
+        azimuth: limit_degrees(pt.azimuth),
+        altitude: pt.altitude,
+        distance: pt.distance === undefined ? null : pt.distance
+      }))
+      .sort((a, b) => a.azimuth - b.azimuth);
+    if (this.points.length === 0) {
+      throw new Error("Horizon profile needs at least one point");
+    }
+  }
+
+  /**
+   * Interpolate the horizon at an azimuth, wrapping around north
+   * @param {Degrees} azimuth Azimuth, clockwise from north
+   * @returns {{altitude: Degrees, distance: ?Meters}} Horizon at that azimuth
+   */
+  at(azimuth) {
+    azimuth = limit_degrees(azimuth);
+    const pts = this.points;
+    let i = pts.findIndex(pt => pt.azimuth > azimuth);
+    if (i === -1) {
+      i = 0;
+    }
+    const next = pts[i];
+    const prev = pts[(i - 1 + pts.length) % pts.length];
+    const span = limit_degrees(next.azimuth - prev.azimuth) || 360;
+    const t = limit_degrees(azimuth - prev.azimuth) / span;
+    const near = t < 0.5 ? prev : next;
+
+    return {
+      altitude: prev.altitude + (next.altitude - prev.altitude) * t,
+      distance: near.distance
+    };
+  }
+
+  /**
+   * Interpolate the horizon altitude at an azimuth
+   * @param {Degrees} azimuth Azimuth, clockwise from north
+   * @returns {Degrees} Horizon altitude
+   */
+  altitudeAt(azimuth) {
+    return this.at(azimuth).altitude;
+  }
+
+  /**
+   * Set the horizon altitude at an azimuth, replacing any point there
+   * @param {Degrees} azimuth Azimuth, clockwise from north
+   * @param {Degrees} altitude Horizon altitude
+   */
+  set(azimuth, altitude) {
+    azimuth = limit_degrees(azimuth);
+    this.points = this.points
+      .filter(pt => pt.azimuth !== azimuth)
+      .concat([{ azimuth: azimuth, altitude: altitude, distance: null }])
+      .sort((a, b) => a.azimuth - b.azimuth);
+  }
+
+  toJSON() {
+    return this.points;
+  }
+
+  /**
+   * A flat horizon sampled every `step` degrees, for drawing a new mask
+   * @param {Degrees} [altitude=0] Altitude of the flat horizon
+   * @param {Degrees} [step=10] Spacing of the points
+   * @returns {HorizonProfile}
+   */
+  static flat(altitude = 0, step = 10) {
+    const points = [];
+    for (let az = 0; az < 360; az += step) {
+      points.push({ azimuth: az, altitude: altitude });
+    }
+    return new HorizonProfile(points);
+  }
+
+  /**
+   * Read a profile from CSV text: one `azimuth,altitude[,distance]` row per
+   * line, with an optional header row. Blank lines and lines starting with
+   * `#` are skipped.
+   * @param {string} text CSV contents
+   * @returns {HorizonProfile}
+   */
+  static fromCSV(text) {
+    const points = [];
+    text.split(/\r?\n/).forEach(line => {
+      line = line.trim();
+      if (!line || line.startsWith("#")) {
+        return;
+      }
+      const cols = line.split(/[,;\t]/).map(col => parseFloat(col));
+      if (isNaN(cols[0]) || isNaN(cols[1])) {
+        // header row or junk
+        return;
+      }
+      points.push({
+        azimuth: cols[0],
+        altitude: cols[1],
+        distance: isNaN(cols[2]) ? null : cols[2]
+      });
+    });
+    return new HorizonProfile(points);
+  }
+
+  /**
+   * Read a profile from JSON text: an array of `[azimuth, altitude]` pairs or
+   * of `{azimuth, altitude, distance}` objects
+   * @param {string} text JSON contents
+   * @returns {HorizonProfile}
+   */
+  static fromJSON(text) {
+    const raw = JSON.parse(text);
+    if (!Array.isArray(raw)) {
+      throw new Error("Horizon JSON must be an array of points");
+    }
+    return new HorizonProfile(
+      raw.map(pt =>
+        Array.isArray(pt)
+          ? { azimuth: pt[0], altitude: pt[1], distance: pt[2] }
+          : pt
+      )
+    );
+  }
+
+  /**
+   * Read a profile from a CSV or JSON file's contents
+   * @param {string} text File contents
+   * @param {string} [filename] File name, used to pick the format
+   * @returns {HorizonProfile}
+   */
+  static parse(text, filename = "") {
+    const isJSON =
+      filename.toLowerCase().endsWith(".json") || /^\s*[[{]/.test(text);
+    return isJSON
+      ? HorizonProfile.fromJSON(text)
+      : HorizonProfile.fromCSV(text);
+  }
+}
+
+export default HorizonProfile;
@@ -0,0 +1,131 @@
+import HorizonProfile from "./horizon";
+import { limit_degrees } from "./util";
+
+/**
+ * Lowest altitude shown at the edge of the plot
+ * @type {Degrees}
+ */
+const MIN_ALTITUDE = -10;
+
+/**
+ * Azimuth spacing of points drawn by hand
+ * @type {Degrees}
+ */
+const SNAP = 5;
+
+/**
+ * Polar plot of a horizon profile (north up, zenith in the middle) that the
+ * user can draw on: clicking or dragging sets the horizon altitude at the
+ * pointer's azimuth
+ */
+class HorizonEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw in
+   * @param {function(HorizonProfile)} onChange Called after each edit
+   */
+  constructor(canvas, onChange) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext("2d");
+    this._onChange = onChange;
+    this._profile = null;
+    this._drawing = false;
+
+    canvas.onmousedown = e => {
+      this._drawing = true;
+      this._edit(e);
+    };
+    canvas.onmousemove = e => this._drawing && this._edit(e);
+    window.addEventListener("mouseup", () => (this._drawing = false));
+
+    this.draw();
+  }
+
+  get profile() {
+    return this._profile;
+  }
+
+  set profile(profile) {
+    this._profile = profile;
+    this.draw();
+  }
+
+  get _radius() {
+    return Math.min(this._canvas.width, this._canvas.height) / 2 - 12;
+  }
+
+  /**
+   * Convert azimuth/altitude to canvas coordinates
+   * @param {Degrees} azimuth
+   * @param {Degrees} altitude
+   * @returns {number[]} [x, y]
+   */
+  _toXY(azimuth, altitude) {
+    const r = (this._radius * (90 - altitude)) / (90 - MIN_ALTITUDE);
+    const az = (azimuth * Math.PI) / 180;
+    return [
+      this._canvas.width / 2 + r * Math.sin(az),
+      this._canvas.height / 2 - r * Math.cos(az)
+    ];
+  }
+
+  _edit(e) {
+    const rect = this._canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left - this._canvas.width / 2;
+    const y = e.clientY - rect.top - this._canvas.height / 2;
+    const r = Math.sqrt(x ** 2 + y ** 2);
+
+    const azimuth =
+      limit_degrees(
+        Math.round((Math.atan2(x, -y) * 180) / Math.PI / SNAP) * SNAP
+      ) % 360;
+    const altitude = Math.max(
+      MIN_ALTITUDE,
+      90 - (r / this._radius) * (90 - MIN_ALTITUDE)
+    );
+
+    if (!this._profile) {
+      this._profile = HorizonProfile.flat(0, SNAP);
+    }
+    this._profile.set(azimuth, Math.round(altitude * 10) / 10);
+    this.draw();
+    this._onChange(this._profile);
+  }
+
+  draw() {
+    const ctx = this._ctx;
+    const w = this._canvas.width;
+    const h = this._canvas.height;
+    ctx.clearRect(0, 0, w, h);
+
+    // altitude rings and compass labels
+    ctx.strokeStyle = "#bbb";
+    ctx.fillStyle = "#555";
+    ctx.font = "10px sans-serif";
+    [0, 30, 60].forEach(alt => {
+      const r = (this._radius * (90 - alt)) / (90 - MIN_ALTITUDE);
+      ctx.beginPath();
+      ctx.arc(w / 2, h / 2, r, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+    [["N", 0], ["E", 90], ["S", 180], ["W", 270]].forEach(([label, az]) => {
+      const [x, y] = this._toXY(az, MIN_ALTITUDE - 4);
+      ctx.fillText(label, x - 3, y + 4);
+    });
+
+    if (!this._profile) {
+      return;
+    }
+
+    // shade everything below the horizon profile
+    ctx.fillStyle = "rgba(120, 90, 60, 0.5)";
+    ctx.beginPath();
+    for (let az = 0; az <= 360; az++) {
+      const [x, y] = this._toXY(az, this._profile.altitudeAt(az));
+      az === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    }
+    ctx.arc(w / 2, h / 2, this._radius, -Math.PI / 2, (3 * Math.PI) / 2, true);
+    ctx.fill("evenodd");
+  }
+}
+
+export default HorizonEditor;
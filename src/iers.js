@@ -0,0 +1,151 @@
+import { DateTime } from "luxon";
+import data from "./data";
+
+/**
+ * Modified Julian Date of the Unix epoch, 1970-01-01 0h UTC
+ * @type {number}
+ */
+const MJD_UNIX_EPOCH = 40587;
+
+/**
+ * TT-TAI, fixed by definition
+ * @type {number} seconds
+ */
+const TT_MINUS_TAI = 32.184;
+
+/**
+ * Line formats holding daily UT1-UTC values, each capturing the MJD and the
+ * value in seconds: the fixed-width finals2000A file (UT1-UTC in columns
+ * 59-68 after an I/P flag), and the IERS Rapid Service and prediction tables
+ * of the weekly Bulletin A
+ * @type {RegExp[]}
+ */
+const DUT1_LINES = [
+  /^.{7}(\d{5})\.00.{42}[IP]([-\s]\d\.\d{7})/,
+  /^\s*\d{2}\s+\d{1,2}\s+\d{1,2}\s+(\d{5})\s+-?[\d.]+\s+[\d.]+\s+-?[\d.]+\s+[\d.]+\s+(-?[\d.]+)\s+[\d.]+\s*$/,
+  /^\s*\d{4}\s+\d{1,2}\s+\d{1,2}\s+(\d{5})\s+-?[\d.]+\s+-?[\d.]+\s+(-?[\d.]+)\s*$/
+];
+
+/**
+ * Leap second table with the first day of each value as an MJD
+ * @type {[number, number][]} [MJD, TAI-UTC seconds]
+ */
+const LEAP_SECONDS = data.leapSeconds.map(([day, offset]) => [
+  Date.parse(day) / 86400000 + MJD_UNIX_EPOCH,
+  offset
+]);
+
+/**
+ * Daily UT1-UTC values from the last bulletin loaded, by date
+ * @type {{mjd: number, dut1: number}[]}
+ */
+let series = [];
+
+/**
+ * Modified Julian Date of a time, in UTC
+ * @param {DateTime} date
+ * @returns {number}
+ */
+function modifiedJulianDate(date) {
+  return date.toMillis() / 86400000 + MJD_UNIX_EPOCH;
+}
+
+/**
+ * TAI-UTC in effect on a Modified Julian Date
+ * @param {number} mjd
+ * @returns {?number} seconds, null before leap seconds started in 1972
+ */
+function taiMinusUTC(mjd) {
+  const row = LEAP_SECONDS.filter(leap => leap[0] <= mjd).pop();
+  return row ? row[1] : null;
+}
+
+/**
+ * Read daily UT1-UTC values from an IERS finals2000A file or a Bulletin A
+ * @param {string} text File contents
+ * @returns {{mjd: number, dut1: number}[]} Values sorted by date
+ */
+export function parseIERS(text) {
+  const byDay = new Map();
+  text.split(/\r?\n/).forEach(line => {
+    DUT1_LINES.some(pattern => {
+      const match = pattern.exec(line);
+      if (match) {
+        const mjd = parseInt(match[1], 10);
+        byDay.set(mjd, { mjd: mjd, dut1: parseFloat(match[2]) });
+      }
+      return match;
+    });
+  });
+  if (byDay.size === 0) {
+    throw new Error("No UT1-UTC values found in a finals2000A or Bulletin A");
+  }
+  return [...byDay.values()].sort((a, b) => a.mjd - b.mjd);
+}
+
+/**
+ * Use UT1-UTC values from an IERS file for all later calculations
+ * @param {string} text Contents of a finals2000A file or a Bulletin A
+ * @returns {{count: number, first: DateTime, last: DateTime}} Number of days
+ * read and the dates they cover
+ */
+export function loadIERS(text) {
+  series = parseIERS(text);
+  const toDate = mjd =>
+    DateTime.fromMillis((mjd - MJD_UNIX_EPOCH) * 86400000, { zone: "utc" });
+  return {
+    count: series.length,
+    first: toDate(series[0].mjd),
+    last: toDate(series[series.length - 1].mjd)
+  };
+}
+
+/**
+ * Forget any loaded IERS values, so UT1-UTC is taken as 0 again
+ */
+export function clearIERS() {
+  series = [];
+}
+
+/**
+ * Get TAI-UTC, the leap seconds added so far, for a time
+ * @param {DateTime} date Time in question
+ * @returns {?number} seconds, null before 1972
+ */
+export function leapSeconds(date) {
+  return taiMinusUTC(modifiedJulianDate(date));
+}
+
+/**
+ * Get DUT1 = UT1-UTC for a time from the loaded IERS values. Values are
+ * interpolated as UT1-TAI, which doesn't jump by a second at leap seconds.
+ * @param {DateTime} date Time in question
+ * @returns {?number} seconds, null outside the loaded dates
+ */
+export function dut1(date) {
+  const mjd = modifiedJulianDate(date);
+  const i = series.findIndex(row => row.mjd > mjd);
+  if (i <= 0) {
+    return null;
+  }
+  const ut1MinusTAI = row => row.dut1 - (taiMinusUTC(row.mjd) || 0);
+  const prev = series[i - 1];
+  const next = series[i];
+  const t = (mjd - prev.mjd) / (next.mjd - prev.mjd);
+  const value = ut1MinusTAI(prev) + (ut1MinusTAI(next) - ut1MinusTAI(prev)) * t;
+  return value + (taiMinusUTC(mjd) || 0);
+}
+
+/**
+ * Get ∆T = TT-UT1 for a time from the loaded IERS values and leap seconds
+ * @param {DateTime} date Time in question
+ * @returns {?number} seconds, null outside the loaded dates
+ */
+export function iersDeltaT(date) {
+  const ut1 = dut1(date);
+  const leaps = leapSeconds(date);
+  if (ut1 === null || leaps === null) {
+    return null;
+  }
+  return TT_MINUS_TAI + leaps - ut1;
+}
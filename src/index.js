@@ -1,12 +1,27 @@
-import { SPA } from "./spa";
+import { horizonDip, horizonDistance, latLngFromAzimuth, SPA } from "./spa";
+import { moonPosition } from "./moon";
+import { seasons } from "./seasons";
+import { clearIERS, loadIERS } from "./iers";
+import { isJulianCalendar, zoneForYear } from "./calendar";
+import { shadowPolygon } from "./shadow";
+import { panelIrradiance } from "./irradiance";
 import {
   dateFromInput,
+  getInputMinutes,
   limit_degrees180pm,
   setInputDate,
+  setInputTime,
   todayWithTz
 } from "./util";
 import tzlookup from "tz-lookup";
 import Map from "./map.js";
+import HorizonProfile from "./horizon";
+import HorizonEditor from "./horizonEditor";
+import AnnualChart from "./annualChart";
+import SunPathChart from "./sunPathChart";
+import AnalemmaChart from "./analemmaChart";
+import { readTileFiles } from "./terrain";
+import ComputeClient from "./computeClient";
 
 function getLatLng() {
   let savedLatLng = window.localStorage.getItem("observerPoint");
@@ -22,60 +37,1199 @@ function getLatLng() {
 
 const { observerLat, observerLong } = getLatLng();
 
+// where the observer stands; `spa` catches up once the worker answers
+let observer = { lat: observerLat, lng: observerLong };
 let currentTz = tzlookup(observerLat, observerLong);
 let startPoint = [observerLat, observerLong];
 let date = todayWithTz(currentTz);
-const dist20m = 3.57 * (Math.sqrt(1.7) + Math.sqrt(20));
+
+// how often live mode moves the sun to the current time
+const LIVE_INTERVAL = 10 * 1000;
+let liveTimer = null;
+// how long scrubbing the date or time has to pause before the quick preview
+// is redone with the full SPA
+const REFINE_DELAY = 400;
+let refineTimer = null;
 
 const pressure = 1013;
 const temp = 27;
-const elev = 10;
+
+// observer's eye height above the surrounding ground, which sets the horizon
+// dip and the distance to the horizon (used as the length of rays), and eye
+// elevation above sea level (ground elevation + eye height), which only goes
+// into parallax and the atmosphere
+let eyeHeight = 1.7;
+let elev = 10 + eyeHeight;
+let rayLength = horizonDistance(eyeHeight, observerLat);
+
+// local horizon (hills, buildings) around the observer, if the user gave one
+let horizonProfile = null;
+let horizonEditor = null;
+// number of elevation tiles the user loaded, which the compute worker keeps
+// to build the horizon automatically
+let terrainTiles = 0;
+// inputs of the last masked rise/set search, so it only reruns when needed
+let maskedKey = null;
+// same for the moonrise/moonset search and the solstice fan
+let moonKey = null;
+let seasonsKey = null;
+// year chart, once the user asks for it
+let annualChart = null;
+let annualKey = null;
+// polar sun-path diagram, and what its day and reference tracks were made for
+let sunPathChart = null;
+let sunPathKey = null;
+let referenceKey = null;
+// analemma at the selected clock time, once the user asks for it
+let analemmaChart = null;
+let analemmaSamples = [];
+let analemmaKey = null;
+// object drawn with the shadow tool
+let footprint = [];
+// inputs of the last hourly panel energy figures
+let panelKey = null;
+// day, event and view the sunrise/sunset isochrones were drawn for
+let isochronesKey = null;
 
 const myMap = new Map("mapid", startPoint, "OSM");
+// heavy sun calculations run in a worker, keeping the map responsive
+const compute = new ComputeClient("worker.bundle.js");
 
-// generate SPA given the date and arbitrary time
-let spa = new SPA(date, observerLat, observerLong, elev, temp, pressure);
-myMap.sunset = {
-  pt: spa.sunsetPoint(dist20m * 1000),
-  angle: spa.sunsetAzimuth
-};
-myMap.sunrise = {
-  pt: spa.sunrisePoint(dist20m * 1000),
-  angle: spa.sunriseAzimuth
-};
+// a quick NOAA position to draw until the worker sends the full one, which
+// setting the date input on load asks for
+let spa = new SPA(
+  date,
+  observerLat,
+  observerLong,
+  elev,
+  temp,
+  pressure,
+  null,
+  null,
+  "noaa",
+  eyeHeight
+);
+myMap.radius = rayLength;
+myMap.sunset = spa.sunset(rayLength);
+myMap.sunrise = spa.sunrise(rayLength);
+myMap.polar = spa.polar;
+myMap.twilight = spa.twilightRays(rayLength);
+myMap.lightWindows = spa.lightWindows;
+myMap.sun = spa.sun(rayLength);
 
-function updatePosition(e) {
+/**
+ * Put a line of text in an element, if the page has it
+ * @param {string} id
+ * @param {string} text
+ */
+function setText(id, text) {
+  const el = document.getElementById(id);
+  if (el) {
+    el.textContent = text;
+  }
+}
+
+/**
+ * Handler for a compute request that failed: says why in the element that
+ * would have shown the result
+ * @param {string} id Element for the message
+ * @param {function()} [undo] Takes down what the request would have
+ * replaced, so stale results aren't left showing
+ * @returns {function(Error)}
+ */
+function reportError(id, undo = () => {}) {
+  return err => {
+    undo();
+    setText(id, err.message);
+  };
+}
+
+/**
+ * Drop the worker's jobs for where the observer was, so the new position
+ * doesn't wait behind them, and forget what they were for so they're redone
+ * for the new place
+ */
+function dropObserverWork() {
+  [
+    "masked",
+    "solstices",
+    "annual",
+    "sunPathReferences",
+    "sunPath",
+    "analemma",
+    "groundLevel",
+    "moon",
+    "panelHourly"
+  ].forEach(channel => compute.cancel(channel));
+  maskedKey = null;
+  moonKey = null;
+  panelKey = null;
+  seasonsKey = null;
+  annualKey = null;
+  referenceKey = null;
+  sunPathKey = null;
+  analemmaKey = null;
+}
+
+function updatePosition(e, animate = false, algorithm = "spa") {
   const limitLatLng = latlng => ({
     lat: limit_degrees180pm(latlng.lat),
     lng: limit_degrees180pm(latlng.lng)
   });
   const newLatLng = e.latlng;
+  if (
+    newLatLng.lat !== observer.lat ||
+    newLatLng.lng !== observer.lng ||
+    elev !== spa.elevation ||
+    eyeHeight !== spa.horizonHeight
+  ) {
+    dropObserverWork();
+  }
+  observer = { lat: newLatLng.lat, lng: newLatLng.lng };
 
   const limitedLatLng = limitLatLng(newLatLng);
-  currentTz = tzlookup(limitedLatLng.lat, limitedLatLng.lng);
+  currentTz = zoneForYear(
+    tzlookup(limitedLatLng.lat, limitedLatLng.lng),
+    date.year
+  );
   date = date.setZone(currentTz, { keepLocalTime: true });
-  spa = new SPA(date, newLatLng.lat, newLatLng.lng, elev, temp, pressure);
+  compute
+    .run(
+      "position",
+      "position",
+      date,
+      newLatLng.lat,
+      newLatLng.lng,
+      elev,
+      eyeHeight,
+      temp,
+      pressure,
+      algorithm
+    )
+    .then(fields => {
+      spa = SPA.fromFields(fields);
+      showPosition(newLatLng, limitedLatLng, animate, algorithm);
+    })
+    .catch(reportError("dt-calendar"));
+}
+
+function showPosition(newLatLng, limitedLatLng, animate, algorithm) {
+  rayLength = horizonDistance(eyeHeight, newLatLng.lat);
   myMap.observer = newLatLng;
+  myMap.radius = rayLength;
 
-  myMap.sunset = spa.sunset(dist20m * 1000);
-  myMap.sunrise = spa.sunrise(dist20m * 1000);
+  myMap.sunset = spa.sunset(rayLength);
+  myMap.sunrise = spa.sunrise(rayLength);
+  myMap.polar = spa.polar;
+  myMap.twilight = spa.twilightRays(rayLength);
+  myMap.lightWindows = spa.lightWindows;
+  if (animate) {
+    myMap.animateSun(spa.sun(rayLength));
+  } else {
+    myMap.sun = spa.sun(rayLength);
+  }
+  updateDeltaT();
+  updateDayNight(algorithm);
+  // what only depends on where the sun is now keeps up with scrubbing
+  if (sunPathChart) {
+    sunPathChart.sun = { azimuth: spa.azimuth, elevation: spa.e };
+  }
+  updateShadow();
+  updatePanel(algorithm);
+  if (algorithm !== "spa") {
+    // a preview while scrubbing: the rest waits for the refined position
+    return;
+  }
+  showHeightEffect();
+  updateMasked();
+  updateMoon();
+  updateSeasons();
+  updateAnnualChart();
+  updateSunPath();
+  updateAnalemma();
+  updateIsochrones();
   window.localStorage.setItem(
     "observerPoint",
     Object.values(limitedLatLng).join(",")
   );
 }
 
-myMap.on("click", updatePosition);
+function moveObserver(e) {
+  // clicks while drawing an object outline belong to the outline
+  if (myMap.drawing) {
+    return;
+  }
+  // a horizon profile only holds for the spot it was made for
+  setHorizon(null);
+  updatePosition(e);
+  updateTerrainHorizon();
+}
+
+myMap.on("click", moveObserver);
+
+function updateMasked(force = false) {
+  const summary = document.getElementById("horizon-summary");
+  if (!horizonProfile) {
+    compute.cancel("masked");
+    maskedKey = null;
+    myMap.masked = null;
+    if (summary) {
+      summary.textContent = "";
+    }
+    return;
+  }
+
+  const key = [date.toISODate(), spa.latitude, spa.longitude, elev].join();
+  if (key === maskedKey && !force) {
+    return;
+  }
+  maskedKey = key;
+
+  compute
+    .run(
+      "masked",
+      "maskedRiseSet",
+      date,
+      spa.latitude,
+      spa.longitude,
+      elev,
+      temp,
+      pressure,
+      horizonProfile.points
+    )
+    .then(showMasked)
+    .catch(
+      reportError("horizon-summary", () => {
+        maskedKey = null;
+        myMap.masked = null;
+      })
+    );
+}
+
+function showMasked(masked) {
+  const summary = document.getElementById("horizon-summary");
+  const ray = angle => {
+    if (angle === null) {
+      return null;
+    }
+    const { distance } = horizonProfile.at(angle);
+    return {
+      pt: latLngFromAzimuth(spa.latlng, rayLength, angle),
+      angle: angle,
+      obstruction: distance && latLngFromAzimuth(spa.latlng, distance, angle)
+    };
+  };
+  myMap.masked = {
+    sunrise: ray(masked.riseAzimuth),
+    sunset: ray(masked.setAzimuth)
+  };
+
+  // how far off the sea-level horizon times are
+  const describe = (event, time, geometric) => {
+    if (!time) {
+      return `No local ${event} today.`;
+    }
+    let text = `Local ${event} ${time.toFormat("HH:mm")}`;
+    if (geometric) {
+      const minutes = time.diff(geometric, "minutes").minutes;
+      text += ` (${minutes >= 0 ? "+" : ""}${minutes.toFixed(0)} min)`;
+    }
+    return text + ".";
+  };
+  if (summary) {
+    summary.textContent =
+      describe("sunrise", masked.rise, spa.sunRise) +
+      " " +
+      describe("sunset", masked.set, spa.sunSet);
+  }
+}
+
+function updateDeltaT() {
+  const el = document.getElementById("delta-t");
+  if (el) {
+    el.textContent =
+      `∆T ${spa.delta_t.toFixed(1)} s ± ` +
+      `${spa.delta_t_uncertainty.toFixed(2)} s (${spa.delta_t_source}), ` +
+      `UT1-UTC ${spa.delta_ut1.toFixed(3)} s`;
+  }
+}
+
+function updateMoon() {
+  // phase changes through the day, so show it for the selected time
+  const phase = moonPosition(
+    date,
+    spa.latitude,
+    spa.longitude,
+    elev,
+    temp,
+    pressure
+  );
+  const phaseEl = document.getElementById("moon-phase");
+  if (phaseEl) {
+    phaseEl.textContent =
+      `Moon ${(phase.illuminatedFraction * 100).toFixed(0)}% lit, ` +
+      `${phase.waxing ? "waxing" : "waning"}, ` +
+      `elevation ${phase.elevation.toFixed(1)}°.`;
+  }
+
+  const key = [date.toISODate(), spa.latitude, spa.longitude, elev].join();
+  if (key === moonKey) {
+    return;
+  }
+  moonKey = key;
+
+  compute
+    .run("moon", "moonriseMoonset", date, spa.latitude, spa.longitude, elev)
+    .then(showMoonRiseSet)
+    .catch(
+      reportError("moon-times", () => {
+        moonKey = null;
+        myMap.moon = null;
+      })
+    );
+}
+
+function showMoonRiseSet(moon) {
+  const ray = (time, angle) =>
+    time && {
+      pt: latLngFromAzimuth(spa.latlng, rayLength, angle),
+      angle: angle,
+      time: time
+    };
+  myMap.moon = {
+    moonrise: ray(moon.moonRise, moon.riseAzimuth),
+    moonset: ray(moon.moonSet, moon.setAzimuth)
+  };
+
+  const timesEl = document.getElementById("moon-times");
+  if (timesEl) {
+    const describe = (event, time, angle) =>
+      time
+        ? `${event} ${time.toFormat("HH:mm")} at ${angle.toFixed(1)}°.`
+        : `No ${event.toLowerCase()} today.`;
+    timesEl.textContent =
+      describe("Moonrise", moon.moonRise, moon.riseAzimuth) +
+      " " +
+      describe("Moonset", moon.moonSet, moon.setAzimuth);
+  }
+}
+
+function updateSeasons() {
+  const key = [date.year, spa.latitude, spa.longitude, elev].join();
+  if (key === seasonsKey) {
+    return;
+  }
+  seasonsKey = key;
+  const points = seasons(date.year);
+
+  // list this year's instants for jumping to
+  const select = document.getElementById("season-jump");
+  if (select) {
+    select.innerHTML = '<option value="">Jump to…</option>';
+    points.forEach((point, i) => {
+      const option = document.createElement("option");
+      option.value = i;
+      option.textContent =
+        `${point.name}, ` +
+        point.time.setZone(currentTz).toFormat("yyyy-MM-dd HH:mm");
+      select.appendChild(option);
+    });
+    select.onchange = e => {
+      if (e.target.value !== "") {
+        jumpTo(points[e.target.value].time.setZone(currentTz));
+      }
+    };
+  }
+
+  const fanBox = document.getElementById("solstice-fan");
+  if (!fanBox || !fanBox.checked) {
+    compute.cancel("solstices");
+    myMap.solstices = null;
+    return;
+  }
+  const names = ["june", "december"];
+  const days = [90, 270].map(longitude =>
+    points
+      .find(point => point.longitude === longitude)
+      .time.setZone(currentTz)
+  );
+  compute
+    .run(
+      "solstices",
+      "riseSetAzimuths",
+      days,
+      spa.latitude,
+      spa.longitude,
+      elev,
+      eyeHeight
+    )
+    .then(results => {
+      const ray = angle =>
+        angle === null
+          ? null
+          : {
+              pt: latLngFromAzimuth(spa.latlng, rayLength, angle),
+              angle: angle
+            };
+      const fan = {};
+      results.forEach((result, i) => {
+        fan[names[i]] = {
+          sunrise: ray(result.riseAzimuth),
+          sunset: ray(result.setAzimuth)
+        };
+      });
+      myMap.solstices = fan;
+      setText("solstice-summary", "");
+    })
+    .catch(
+      reportError("solstice-summary", () => {
+        seasonsKey = null;
+        myMap.solstices = null;
+      })
+    );
+}
+
+function updateAnnualChart() {
+  const canvas = document.getElementById("annual-chart");
+  if (!canvas) {
+    return;
+  }
+  // the chart takes the best part of a second, so only keep it up to date
+  // while it's shown
+  const show = document.getElementById("annual-show").checked;
+  canvas.style.display = show ? "" : "none";
+  if (!show) {
+    return;
+  }
+  if (!annualChart) {
+    annualChart = new AnnualChart(canvas, jumpTo);
+  }
+  const key = [date.year, spa.latitude, spa.longitude, elev, currentTz].join();
+  if (key !== annualKey) {
+    annualKey = key;
+    compute
+      .run(
+        "annual",
+        "sunYear",
+        date.year,
+        currentTz,
+        spa.latitude,
+        spa.longitude,
+        eyeHeight
+      )
+      .then(days => {
+        annualChart.days = days;
+        annualChart.selected = date;
+        setText("annual-summary", "");
+      })
+      .catch(
+        reportError("annual-summary", () => {
+          annualKey = null;
+          annualChart.days = [];
+        })
+      );
+  }
+  annualChart.selected = date;
+}
+
+function updateSunPath() {
+  if (!sunPathChart) {
+    return;
+  }
+  const place = [spa.latitude, spa.longitude, elev];
+
+  // solstice and equinox tracks only change with the year
+  const refKey = [date.year, currentTz, ...place].join();
+  if (refKey !== referenceKey) {
+    referenceKey = refKey;
+    const points = seasons(date.year).filter(
+      point => point.longitude % 90 === 0 && point.longitude !== 180
+    );
+    compute
+      .run(
+        "sunPathReferences",
+        "sunTracks",
+        points.map(point => point.time.setZone(currentTz)),
+        elev,
+        spa.latitude,
+        spa.longitude,
+        15
+      )
+      .then(tracks => {
+        sunPathChart.references = points.map((point, i) => ({
+          name: point.name,
+          track: tracks[i]
+        }));
+      })
+      .catch(
+        reportError("sun-path-summary", () => {
+          referenceKey = null;
+          sunPathChart.references = [];
+        })
+      );
+  }
+
+  const key = [date.toISODate(), currentTz, ...place].join();
+  if (key !== sunPathKey) {
+    sunPathKey = key;
+    compute
+      .run(
+        "sunPath",
+        "sunTracks",
+        [date],
+        elev,
+        spa.latitude,
+        spa.longitude,
+        10
+      )
+      .then(tracks => {
+        sunPathChart.track = tracks[0];
+        setText("sun-path-summary", "");
+      })
+      .catch(
+        reportError("sun-path-summary", () => {
+          sunPathKey = null;
+          sunPathChart.track = [];
+        })
+      );
+  }
+}
+
+function updateAnalemma() {
+  const summary = document.getElementById("analemma-summary");
+  if (!summary) {
+    return;
+  }
+  const sign = spa.eot >= 0 ? "+" : "";
+  summary.textContent =
+    `Equation of time ${sign}${spa.eot.toFixed(1)} min, ` +
+    `declination ${spa.delta.toFixed(2)}°`;
+
+  const canvas = document.getElementById("analemma-chart");
+  const show = document.getElementById("analemma-show").checked;
+  canvas.style.display = show ? "" : "none";
+  document.getElementById("analemma-export").disabled = !show;
+  if (!show) {
+    return;
+  }
+  if (!analemmaChart) {
+    analemmaChart = new AnalemmaChart(canvas);
+  }
+  const minutes = date.hour * 60 + date.minute;
+  const place = [spa.latitude, spa.longitude, elev];
+  const key = [date.year, currentTz, minutes, ...place].join();
+  if (key !== analemmaKey) {
+    analemmaKey = key;
+    compute
+      .run(
+        "analemma",
+        "sunAnalemma",
+        date.year,
+        currentTz,
+        minutes,
+        elev,
+        spa.latitude,
+        spa.longitude
+      )
+      .then(samples => {
+        analemmaSamples = samples;
+        analemmaChart.samples = samples;
+      })
+      .catch(
+        reportError("analemma-summary", () => {
+          analemmaKey = null;
+          analemmaSamples = [];
+          analemmaChart.samples = [];
+        })
+      );
+  }
+}
+
+function exportAnalemma() {
+  const blob = new Blob([AnalemmaChart.toCSV(analemmaSamples)], {
+    type: "text/csv"
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `analemma-${date.year}-${date.toFormat("HHmm")}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function updateShadow() {
+  const summary = document.getElementById("shadow-summary");
+  if (!summary || !footprint.length) {
+    myMap.shadow = null;
+    return;
+  }
+  const height = parseFloat(document.getElementById("object-height").value);
+  const shadow = shadowPolygon(footprint, height || 0, {
+    azimuth: spa.azimuth,
+    elevation: spa.e
+  });
+  myMap.shadow = shadow;
+  summary.textContent = shadow
+    ? `Shadow ${shadow.length.toFixed(1)} m long, ` +
+      `pointing ${shadow.azimuth.toFixed(1)}°`
+    : "The sun is down: no shadow";
+}
+
+function updateDayNight(algorithm = "spa") {
+  const box = document.getElementById("day-night-show");
+  if (!box || !box.checked) {
+    compute.cancel("dayNight");
+    myMap.dayNight = null;
+    return;
+  }
+  compute
+    .run("dayNight", "dayNight", date, algorithm)
+    .then(overlay => {
+      myMap.dayNight = overlay;
+      setText("day-night-summary", "");
+    })
+    .catch(
+      reportError("day-night-summary", () => {
+        myMap.dayNight = null;
+      })
+    );
+}
+
+function updateIsochrones() {
+  const box = document.getElementById("isochrones-show");
+  if (!box || !box.checked) {
+    compute.cancel("isochrones");
+    isochronesKey = null;
+    myMap.isochrones = null;
+    return;
+  }
+  const event = document.getElementById("isochrones-event").value;
+  const bounds = myMap.bounds;
+  const key = [date.toISODate(), event, ...Object.values(bounds)].join();
+  if (key === isochronesKey) {
+    return;
+  }
+  isochronesKey = key;
+  compute
+    .run("isochrones", "isochrones", date, bounds, event)
+    .then(lines => {
+      myMap.isochrones = lines;
+      setText("isochrones-summary", "");
+    })
+    .catch(
+      reportError("isochrones-summary", () => {
+        isochronesKey = null;
+        myMap.isochrones = null;
+      })
+    );
+}
+
+function toggleDrawing() {
+  const button = document.getElementById("draw-footprint");
+  if (myMap.drawing) {
+    myMap.finishDrawing();
+    return;
+  }
+  button.textContent = "Finish outline";
+  myMap.startDrawing(points => {
+    button.textContent = "Draw object";
+    footprint = points;
+    updateShadow();
+  });
+}
+
+function panelInputs() {
+  const value = id => parseFloat(document.getElementById(id).value) || 0;
+  return {
+    panel: { tilt: value("panel-tilt"), azimuth: value("panel-azimuth") },
+    options: { linke: value("linke") || 3, pressure: pressure }
+  };
+}
+
+function updatePanel(algorithm = "spa") {
+  const summary = document.getElementById("panel-summary");
+  if (!summary) {
+    return;
+  }
+  const { panel, options } = panelInputs();
+  const place = [spa.latitude, spa.longitude, elev];
+  const now = panelIrradiance(date, ...place, panel, {
+    ...options,
+    algorithm: algorithm
+  });
+  // the SPA measures the panel's azimuth rotation from south
+  const incidence = spa.incidence(panel.tilt, panel.azimuth - 180);
+  summary.textContent =
+    `Incidence ${incidence.toFixed(1)}°, ` +
+    `clear-sky ${now.poa.toFixed(0)} W/m² on the panel`;
+  if (algorithm !== "spa") {
+    return;
+  }
+
+  const inputs = JSON.stringify([panel, options]);
+  const key = [date.toISODate(), ...place, inputs].join();
+  if (key === panelKey) {
+    return;
+  }
+  panelKey = key;
+  // a year's total still on its way would be for the old inputs
+  compute.cancel("panelAnnual");
+  document.getElementById("panel-annual").textContent = "";
+  compute
+    .run("panelHourly", "hourlyEnergy", date, ...place, panel, options)
+    .then(hours => {
+      const total = hours.reduce((acc, hour) => acc + hour.energy, 0);
+      document.getElementById("panel-hourly").textContent =
+        `Clear-sky day: ${(total / 1000).toFixed(2)} kWh/m². ` +
+        "By hour (Wh/m²): " +
+        hours
+          .filter(hour => hour.energy > 0)
+          .map(hour => `${hour.time.toFormat("HH")}h ${hour.energy.toFixed(0)}`)
+          .join(", ");
+    })
+    .catch(
+      reportError("panel-hourly", () => {
+        panelKey = null;
+      })
+    );
+}
+
+function showAnnualEnergy() {
+  const { panel, options } = panelInputs();
+  const el = document.getElementById("panel-annual");
+  const yearShown = date.year;
+  el.textContent = `Working out ${yearShown}…`;
+  compute
+    .run(
+      "panelAnnual",
+      "annualEnergy",
+      yearShown,
+      currentTz,
+      observer.lat,
+      observer.lng,
+      elev,
+      panel,
+      options
+    )
+    .then(year => {
+      el.textContent =
+        `Clear-sky ${yearShown}: ${year.total.toFixed(0)} kWh/m² (` +
+        year.monthly.map(month => month.toFixed(0)).join(", ") +
+        " by month)";
+    })
+    .catch(reportError("panel-annual"));
+}
+
+function setHorizon(profile) {
+  // whatever set the horizon last wins over a terrain profile on its way
+  compute.cancel("terrainHorizon");
+  horizonProfile = profile;
+  if (horizonEditor) {
+    horizonEditor.profile = profile;
+  }
+  if (sunPathChart) {
+    sunPathChart.profile = profile;
+  }
+  updateMasked(true);
+}
+
+/**
+ * Build the horizon from the loaded elevation tiles, if there are any
+ * @param {function()} [uncovered] Called if no tile covers the observer
+ */
+function updateTerrainHorizon(uncovered = () => {}) {
+  if (!terrainTiles) {
+    return;
+  }
+  compute
+    .run(
+      "terrainHorizon",
+      "terrainHorizon",
+      observer.lat,
+      observer.lng,
+      eyeHeight
+    )
+    .then(points => {
+      if (points) {
+        setHorizon(new HorizonProfile(points));
+      } else {
+        uncovered();
+      }
+    })
+    .catch(reportError("terrain-summary"));
+}
+
+async function loadTerrainFiles(files) {
+  const summary = document.getElementById("terrain-summary");
+  let counts;
+  try {
+    // a newer copy of a tile replaces the one still going over
+    const tiles = await readTileFiles(files);
+    counts = await Promise.all(
+      tiles.map(tile =>
+        compute.run(
+          `terrain:${tile.name}`,
+          "addTerrainTile",
+          tile.name,
+          tile.buffer
+        )
+      )
+    );
+  } catch (err) {
+    summary.textContent = `Couldn't read elevation tiles: ${err.message}`;
+    return;
+  }
+  terrainTiles = Math.max(terrainTiles, ...counts);
+  summary.textContent = `${counts.length} elevation tiles added, ${terrainTiles} loaded`;
+  updateTerrainHorizon(() => {
+    summary.textContent += " (none covers the observer)";
+  });
+}
+
+function loadHorizonFile(e) {
+  const file = e.target.files[0];
+  if (!file) {
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      setHorizon(HorizonProfile.parse(reader.result, file.name));
+    } catch (err) {
+      document.getElementById("horizon-summary").textContent =
+        `Couldn't read ${file.name}: ${err.message}`;
+    }
+  };
+  reader.readAsText(file);
+}
+
+function loadIERSFile(e) {
+  const file = e.target.files[0];
+  if (!file) {
+    return;
+  }
+  const summary = document.getElementById("iers-summary");
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const loaded = loadIERS(reader.result);
+      summary.textContent =
+        `UT1-UTC for ${loaded.count} days, ` +
+        `${loaded.first.toISODate()} to ${loaded.last.toISODate()}`;
+    } catch (err) {
+      summary.textContent = `Couldn't read ${file.name}: ${err.message}`;
+      return;
+    }
+    // the worker keeps its own copy; it runs these before anything else, so
+    // the position below already uses the new values
+    compute
+      .run("iers", "loadIERS", reader.result)
+      .catch(reportError("iers-summary"));
+    updatePosition({ latlng: observer });
+  };
+  reader.readAsText(file);
+}
+
+function clearIERSFile() {
+  clearIERS();
+  compute.run("iers", "clearIERS").catch(reportError("iers-summary"));
+  document.getElementById("iers-file").value = "";
+  document.getElementById("iers-summary").textContent = "";
+  updatePosition({ latlng: observer });
+}
+
+function showHeightEffect() {
+  const el = document.getElementById("height-effect");
+  if (!el) {
+    return;
+  }
+  const dip = horizonDip(eyeHeight, spa.latitude);
+  const summary =
+    `Horizon ${(rayLength / 1000).toFixed(1)} km away, ` +
+    `${dip.toFixed(2)}° below level`;
+  if (spa.polar || eyeHeight <= 0) {
+    compute.cancel("groundLevel");
+    el.textContent = summary;
+    return;
+  }
+
+  // compare against an eye on the ground, where the horizon doesn't dip
+  compute
+    .run("groundLevel", "sunriseSunset", date, spa.latitude, spa.longitude, 0)
+    .then(level => showGroundLevelEffect(summary, level))
+    .catch(reportError("height-effect"));
+}
+
+function showGroundLevelEffect(summary, level) {
+  const el = document.getElementById("height-effect");
+  if (!level.sunRise) {
+    el.textContent = summary;
+    return;
+  }
+  // to the tenth of a minute shown, so a change too small to show says so
+  const shift = (event, time, levelTime) => {
+    const minutes = Math.round(time.diff(levelTime, "minutes").minutes * 10);
+    if (minutes === 0) {
+      return `${event} unchanged`;
+    }
+    const when = minutes < 0 ? "earlier" : "later";
+    return `${event} ${(Math.abs(minutes) / 10).toFixed(1)} min ${when}`;
+  };
+  el.textContent =
+    `${summary}: ${shift("sunrise", spa.sunRise, level.sunRise)} and ` +
+    `${shift("sunset", spa.sunSet, level.sunSet)} compared with ground level`;
+}
+
+function updateHeight() {
+  const value = id => parseFloat(document.getElementById(id).value) || 0;
+  eyeHeight = value("eye-height");
+  elev = value("ground-elevation") + eyeHeight;
+  updatePosition({ latlng: observer });
+  updateTerrainHorizon();
+}
+
+function showTime() {
+  document.getElementById("tod-label").textContent = date.toFormat("HH:mm");
+}
+
+/**
+ * Redraw with the quick NOAA algorithm now, and with the full SPA once the
+ * user stops scrubbing for REFINE_DELAY
+ */
+function previewPosition() {
+  clearTimeout(refineTimer);
+  updatePosition({ latlng: observer }, false, "noaa");
+  refineTimer = setTimeout(() => {
+    refineTimer = null;
+    updatePosition({ latlng: observer });
+  }, REFINE_DELAY);
+}
 
 function updateDate(e) {
   const dateStr = e.target.value;
-  date = dateFromInput(dateStr, date.zone);
-  updatePosition({ latlng: { lat: spa.latitude, lng: spa.longitude } });
+  const note = document.getElementById("dt-calendar");
+  const minutes = getInputMinutes("tod");
+  try {
+    // the slider holds clock time, which isn't time since midnight on the
+    // days the clocks change
+    date = dateFromInput(dateStr, currentTz).set({
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    });
+  } catch (err) {
+    note.textContent = err.message;
+    return;
+  }
+  note.textContent = isJulianCalendar(date) ? "Julian calendar" : "";
+  showTime();
+  if (e.preview) {
+    previewPosition();
+    return;
+  }
+  clearTimeout(refineTimer);
+  updatePosition({ latlng: observer });
+}
+
+function updateTime(e) {
+  // moving the slider by hand takes over from live mode
+  stopLive();
+  const minutes = parseInt(e.target.value);
+  date = date.set({
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60,
+    second: 0,
+    millisecond: 0
+  });
+  showTime();
+  previewPosition();
+}
+
+function followNow() {
+  const now = todayWithTz(currentTz);
+  setInputTime("tod", now);
+  if (now.toISODate() !== date.toISODate()) {
+    // past midnight in the observer's zone: changing the date input redraws
+    // the sunrise/sunset markers for the new day
+    setInputDate("dt", now);
+    return;
+  }
+  date = now;
+  showTime();
+  updatePosition({ latlng: observer }, true);
+}
+
+function setLive(live) {
+  clearInterval(liveTimer);
+  liveTimer = null;
+  if (live) {
+    followNow();
+    liveTimer = setInterval(followNow, LIVE_INTERVAL);
+  }
+  window.localStorage.setItem("liveMode", live ? "1" : "");
+}
+
+function stopLive() {
+  if (liveTimer) {
+    document.getElementById("live").checked = false;
+    setLive(false);
+  }
+}
+
+function updateTarget(e) {
+  myMap.target = e.latlng;
+  // a line still being worked out would be for the old target
+  compute.cancel("standing");
+  document.getElementById("find-alignments").disabled = false;
+  document.getElementById("where-to-stand").disabled = false;
+  document.getElementById("standing-summary").textContent = "";
+}
+
+myMap.on("contextmenu", updateTarget);
+// the isochrones cover the view, so follow it around
+myMap.on("moveend", () => updateIsochrones());
+
+function jumpTo(time) {
+  stopLive();
+  setInputTime("tod", time);
+  setInputDate("dt", time);
+}
+
+function showAlignments() {
+  const heightStr = document.getElementById("target-height").value;
+  const summary = document.getElementById("alignment-summary");
+  const year = date.year;
+  summary.textContent = `Searching ${year}…`;
+  compute
+    .run(
+      "alignments",
+      "findAlignments",
+      observer,
+      { lat: myMap.target.lat, lng: myMap.target.lng },
+      year,
+      currentTz,
+      {
+        elevation: elev,
+        targetHeight: heightStr === "" ? null : parseFloat(heightStr)
+      }
+    )
+    .then(found => showAlignmentResults(summary, year, found))
+    .catch(
+      reportError("alignment-summary", () => {
+        document.getElementById("alignment-results").innerHTML = "";
+      })
+    );
+}
+
+function showAlignmentResults(summary, year, found) {
+  const { bearing, distance, alignments } = found;
+  summary.textContent =
+    `Bearing ${bearing.toFixed(1)}°, ${(distance / 1000).toFixed(2)} km: ` +
+    `${alignments.length} alignments in ${year}`;
+
+  const list = document.getElementById("alignment-results");
+  list.innerHTML = "";
+  alignments.forEach(alignment => {
+    const item = document.createElement("li");
+    item.textContent =
+      `${alignment.time.toFormat("yyyy-MM-dd HH:mm")} ${alignment.event} ` +
+      `(${alignment.error.toFixed(2)}° off)`;
+    item.onclick = () => jumpTo(alignment.time);
+    list.appendChild(item);
+  });
+}
+
+function showStandingLine() {
+  const value = id => parseFloat(document.getElementById(id).value);
+  compute
+    .run(
+      "standing",
+      "standingLine",
+      { lat: myMap.target.lat, lng: myMap.target.lng },
+      date,
+      {
+        targetSize: value("target-size"),
+        minAngle: value("angle-min"),
+        maxAngle: value("angle-max"),
+        temp: temp,
+        pressure: pressure
+      }
+    )
+    .then(showStandingResult)
+    .catch(
+      reportError("standing-summary", () => {
+        myMap.standing = null;
+      })
+    );
+}
+
+function showStandingResult(plan) {
+  myMap.standing = plan;
+  document.getElementById("standing-summary").textContent = plan
+    ? `Sun sets at ${plan.azimuth.toFixed(1)}°: stand ` +
+      `${(plan.near / 1000).toFixed(2)}–${(plan.far / 1000).toFixed(2)} km ` +
+      `from the target at bearing ${((plan.azimuth + 180) % 360).toFixed(1)}°`
+    : "The sun doesn't set on this day";
 }
 
 document.onreadystatechange = () => {
   if (document.readyState === "complete") {
     document.getElementById("dt").onchange = updateDate;
+    document.getElementById("tod").oninput = updateTime;
+    document.getElementById("find-alignments").onclick = showAlignments;
+    document.getElementById("horizon-file").onchange = loadHorizonFile;
+    document.getElementById("iers-file").onchange = loadIERSFile;
+    document.getElementById("iers-clear").onclick = clearIERSFile;
+    ["terrain-files", "terrain-folder"].forEach(id => {
+      document.getElementById(id).onchange = e =>
+        loadTerrainFiles(e.target.files);
+    });
+    // .hgt tiles can also be dropped anywhere on the page
+    document.body.ondragover = e => e.preventDefault();
+    document.body.ondrop = e => {
+      e.preventDefault();
+      loadTerrainFiles(e.dataTransfer.files);
+    };
+    document.getElementById("horizon-clear").onclick = () => setHorizon(null);
+    // searching the whole day is too slow to redo on every drag step
+    let editTimer = null;
+    horizonEditor = new HorizonEditor(
+      document.getElementById("horizon-editor"),
+      profile => {
+        clearTimeout(editTimer);
+        editTimer = setTimeout(() => setHorizon(profile), 300);
+      }
+    );
+    document.getElementById("ground-elevation").onchange = updateHeight;
+    document.getElementById("eye-height").onchange = updateHeight;
+    document.getElementById("where-to-stand").onclick = showStandingLine;
+    document.getElementById("annual-show").onchange = updateAnnualChart;
+    document.getElementById("analemma-show").onchange = updateAnalemma;
+    document.getElementById("draw-footprint").onclick = toggleDrawing;
+    document.getElementById("object-height").onchange = updateShadow;
+    ["panel-tilt", "panel-azimuth", "linke"].forEach(id => {
+      document.getElementById(id).onchange = () => updatePanel();
+    });
+    document.getElementById("panel-annual-energy").onclick = showAnnualEnergy;
+    document.getElementById("clear-footprint").onclick = () => {
+      footprint = [];
+      myMap.footprint = null;
+      updateShadow();
+    };
+    document.getElementById("analemma-export").onclick = exportAnalemma;
+    sunPathChart = new SunPathChart(document.getElementById("sun-path"));
+    document.getElementById("day-night-show").onchange = () => updateDayNight();
+    ["isochrones-show", "isochrones-event"].forEach(id => {
+      document.getElementById(id).onchange = () => updateIsochrones();
+    });
+    document.getElementById("solstice-fan").onchange = () => {
+      seasonsKey = null;
+      updateSeasons();
+    };
+    setInputTime("tod", date);
     setInputDate("dt", date);
+
+    const liveBox = document.getElementById("live");
+    liveBox.onchange = e => setLive(e.target.checked);
+    liveBox.checked = !!window.localStorage.getItem("liveMode");
+    setLive(liveBox.checked);
   }
 };
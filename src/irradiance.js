@@ -0,0 +1,215 @@
+import { DateTime } from "luxon";
+import { sunPosition, surfaceIncidenceAngle } from "./spa";
+
+/**
+ * Solar constant, irradiance at the top of the atmosphere at 1 AU
+ * @type {number} W/m²
+ */
+const SOLAR_CONSTANT = 1367;
+
+/**
+ * Share of the light on the ground reflected back up (grass, soil)
+ * @type {number}
+ */
+const DEFAULT_ALBEDO = 0.2;
+
+const deg2rad = deg => (deg * Math.PI) / 180;
+
+/**
+ * Relative optical air mass (Kasten & Young, 1989)
+ * @param {Degrees} zenith Apparent sun zenith angle
+ * @returns {number}
+ */
+function airMass(zenith) {
+  return (
+    1 / (Math.cos(deg2rad(zenith)) + 0.50572 * (96.07995 - zenith) ** -1.6364)
+  );
+}
+
+/**
+ * Clear-sky irradiance from the Ineichen–Perez model (Ineichen & Perez, 2002),
+ * as implemented in pvlib without the Perez enhancement
+ * @param {Degrees} zenith Apparent sun zenith angle
+ * @param {DateTime} date Time in question, for the earth-sun distance
+ * @param {Meters} elevation Site elevation
+ * @param {number} linke Linke turbidity: about 2 for very clean air, 3-4
+ * for typical rural and 5+ for hazy urban skies
+ * @param {Millibar} pressure Site pressure
+ * @returns {{ghi: number, dni: number, dhi: number}} Global horizontal, direct
+ * normal and diffuse horizontal irradiance, W/m²
+ */
+export function clearSkyIrradiance(zenith, date, elevation, linke, pressure) {
+  if (zenith >= 90) {
+    return { ghi: 0, dni: 0, dhi: 0 };
+  }
+  const cosZ = Math.cos(deg2rad(zenith));
+  const i0 =
+    SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * date.ordinal) / 365));
+  const am = (airMass(zenith) * pressure) / 1013.25;
+
+  const fh1 = Math.exp(-elevation / 8000);
+  const fh2 = Math.exp(-elevation / 1250);
+  const cg1 = 5.09e-5 * elevation + 0.868;
+  const cg2 = 3.92e-5 * elevation + 0.0387;
+
+  const ghi = Math.max(
+    cg1 * i0 * cosZ * Math.exp(-cg2 * am * (fh1 + fh2 * (linke - 1))),
+    0
+  );
+
+  // beam from the turbidity directly, capped by what the global allows
+  const b = 0.664 + 0.163 / fh1;
+  const bnci = b * i0 * Math.exp(-0.09 * am * (linke - 1));
+  const cap =
+    (1 - (0.1 - 0.2 * Math.exp(-linke)) / (0.1 + 0.882 / fh1)) / cosZ;
+  const dni = Math.max(Math.min(bnci, ghi * Math.max(cap, 0)), 0);
+
+  return { ghi: ghi, dni: dni, dhi: Math.max(ghi - dni * cosZ, 0) };
+}
+
+/**
+ * Describe a tilted panel
+ * @typedef {Object} Panel
+ * @property {Degrees} tilt Slope from horizontal
+ * @property {Degrees} azimuth Direction the panel faces, clockwise from north
+ * @property {number} [albedo=0.2] Ground reflectance in front of the panel
+ */
+
+/**
+ * Plane-of-array irradiance on a panel, transposing direct, diffuse
+ * (isotropic sky) and ground-reflected light
+ * @param {{azimuth: Degrees, elevation: Degrees}} sun Sun position
+ * @param {{ghi: number, dni: number, dhi: number}} sky Irradiance, W/m²
+ * @param {Panel} panel Panel orientation
+ * @returns {{incidence: Degrees, poa: number}} Incidence angle and
+ * irradiance on the panel, W/m²
+ */
+export function planeOfArray(sun, sky, panel) {
+  const { tilt, azimuth, albedo = DEFAULT_ALBEDO } = panel;
+  // azimuths from north to the SPA convention of westward from south
+  const incidence = surfaceIncidenceAngle(
+    90 - sun.elevation,
+    sun.azimuth - 180,
+    tilt,
+    azimuth - 180
+  );
+  const cosTilt = Math.cos(deg2rad(tilt));
+  const beam = sky.dni * Math.max(Math.cos(deg2rad(incidence)), 0);
+  const diffuse = (sky.dhi * (1 + cosTilt)) / 2;
+  const ground = (sky.ghi * albedo * (1 - cosTilt)) / 2;
+  return { incidence: incidence, poa: beam + diffuse + ground };
+}
+
+/**
+ * Clear-sky plane-of-array irradiance at a time
+ * @param {DateTime} date Time in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} elevation Site elevation
+ * @param {Panel} panel Panel orientation
+ * @param {Object} [options]
+ * @param {number} [options.linke=3] Linke turbidity
+ * @param {Millibar} [options.pressure=1013] Site pressure
+ * @param {SunAlgorithm} [options.algorithm="spa"] Algorithm for the sun's
+ * position
+ * @returns {{incidence: Degrees, poa: number, ghi: number, dni: number, dhi: number}}
+ */
+export function panelIrradiance(
+  date,
+  lat,
+  lng,
+  elevation,
+  panel,
+  options = {}
+) {
+  const { linke = 3, pressure = 1013, algorithm = "spa" } = options;
+  const sun = sunPosition(date, elevation, lat, lng, 10, pressure, algorithm);
+  const sky = clearSkyIrradiance(
+    90 - sun.elevation,
+    date,
+    elevation,
+    linke,
+    pressure
+  );
+  return { ...sky, ...planeOfArray(sun, sky, panel) };
+}
+
+/**
+ * Clear-sky energy reaching a panel in each hour of the local day of `date`,
+ * taking the irradiance at the middle of the hour
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} elevation Site elevation
+ * @param {Panel} panel Panel orientation
+ * @param {Object} [options] As for `panelIrradiance`
+ * @returns {{time: DateTime, energy: number}[]} Start of each hour and the
+ * energy for that hour, Wh/m²
+ */
+export function hourlyEnergy(date, lat, lng, elevation, panel, options = {}) {
+  const start = date.startOf("day");
+  let hours = [];
+  for (let time = start; time.hasSame(start, "day"); ) {
+    const { poa } = panelIrradiance(
+      time.plus({ minutes: 30 }),
+      lat,
+      lng,
+      elevation,
+      panel,
+      options
+    );
+    hours.push({ time: time, energy: poa });
+    time = time.plus({ hours: 1 });
+  }
+  return hours;
+}
+
+/**
+ * Clear-sky energy reaching a panel over a year. Only every `dayStep`th day
+ * is worked out and counts for the days around it, which is plenty for a
+ * clear-sky estimate and keeps this to a second or so. A generator so the
+ * sweep can be run a sampled day at a time.
+ * @param {number} year Year in question
+ * @param {string} zone Observer's IANA time zone
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} elevation Site elevation
+ * @param {Panel} panel Panel orientation
+ * @param {Object} [options] As for `panelIrradiance`, plus:
+ * @param {number} [options.dayStep=7] Days between sampled days
+ * @returns {Generator} Yields after each sampled day and returns `{total,
+ * monthly}`: energy for the year and for each month, kWh/m²
+ */
+export function* annualEnergy(
+  year,
+  zone,
+  lat,
+  lng,
+  elevation,
+  panel,
+  options = {}
+) {
+  const { dayStep = 7 } = options;
+  const start = DateTime.fromObject({
+    year: year,
+    month: 1,
+    day: 1,
+    zone: zone
+  });
+  let monthly = new Array(12).fill(0);
+  for (let first = 0; first < start.daysInYear; first += dayStep) {
+    const days = Math.min(dayStep, start.daysInYear - first);
+    // the middle day of each run stands for the whole run
+    const day = start.plus({ days: first + Math.floor(days / 2) });
+    const daily =
+      hourlyEnergy(day, lat, lng, elevation, panel, options).reduce(
+        (acc, hour) => acc + hour.energy,
+        0
+      ) / 1000;
+    for (let i = 0; i < days; i++) {
+      monthly[start.plus({ days: first + i }).month - 1] += daily;
+    }
+    yield;
+  }
+  return { total: monthly.reduce((acc, m) => acc + m, 0), monthly: monthly };
+}
@@ -0,0 +1,211 @@
+import { DateTime } from "luxon";
+import tzlookup from "tz-lookup";
+import data from "./data";
+import { sunCrossings } from "./spa";
+import { zoneForYear } from "./calendar";
+import { limit_degrees180pm } from "./util";
+
+/**
+ * Grid cells across the wider side of the area sampled
+ * @type {number}
+ */
+const GRID_CELLS = 28;
+
+/**
+ * Furthest latitude sampled; the map's Mercator projection gives out beyond
+ * @type {Degrees}
+ */
+const MAX_LATITUDE = 85;
+
+/**
+ * Spacings between contour levels to pick from, and the most levels to draw
+ * @type {Minutes[]}
+ */
+const LEVEL_STEPS = [1, 2, 5, 10, 15, 20, 30, 60, 120, 180];
+const MAX_LEVELS = 12;
+
+/**
+ * Wall-clock minutes of a time, counted from the start of `day` so that
+ * events on the days either side go below 0 or past 1440. Clock minutes (not
+ * elapsed minutes) keep the labels right on the days the clocks change.
+ * @param {DateTime} time Time in question
+ * @param {DateTime} day Start of the local day
+ * @returns {Minutes}
+ */
+function clockMinutes(time, day) {
+  const dayShift = time.startOf("day").diff(day, "days").days;
+  const minutes = time.hour * 60 + time.minute + time.second / 60;
+  return Math.round(dayShift) * 1440 + minutes;
+}
+
+/**
+ * Sample sunrise or sunset times over a lat/lng box, each point in its own
+ * time zone. A generator so the sweep can be run a row at a time.
+ * @param {DateTime} date Day in question; each point gets the same calendar
+ * date in its own zone
+ * @param {{south: Degrees, west: Degrees, north: Degrees, east: Degrees}} bounds
+ * Box to sample, e.g. the map's viewport
+ * @param {"sunrise"|"sunset"} [event="sunset"] Which crossing to time
+ * @param {SunAlgorithm} [algorithm="noaa"] Algorithm for the sun's position;
+ * the quick one is good to seconds, well under what a contour map shows
+ * @returns {Generator} Yields after each row and returns `{lats, lngs, values,
+ * offsets}`: grid rows (south to north) and columns, and for each point the
+ * local clock time of the event in minutes after midnight and the UTC offset
+ * it is in, both null where the sun doesn't rise or set that day
+ */
+export function* isochroneGrid(
+  date,
+  bounds,
+  event = "sunset",
+  algorithm = "noaa"
+) {
+  const south = Math.max(bounds.south, -MAX_LATITUDE);
+  const north = Math.min(bounds.north, MAX_LATITUDE);
+  const width = bounds.east - bounds.west;
+  const cell = Math.max(width, north - south) / GRID_CELLS;
+  const steps = (from, to) => {
+    const count = Math.max(2, Math.round((to - from) / cell) + 1);
+    return Array.from(
+      { length: count },
+      (_, i) => from + ((to - from) * i) / (count - 1)
+    );
+  };
+  const lats = steps(south, north);
+  const lngs = steps(bounds.west, bounds.east);
+
+  const h0_prime = -1 * (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET);
+  let values = [];
+  let offsets = [];
+  for (const lat of lats) {
+    let row = [];
+    let rowOffsets = [];
+    lngs.forEach(lng => {
+      const zone = zoneForYear(
+        tzlookup(lat, limit_degrees180pm(lng)),
+        date.year
+      );
+      const day = DateTime.fromObject({
+        year: date.year,
+        month: date.month,
+        day: date.day,
+        zone: zone
+      });
+      const { rise, set } = sunCrossings(day, lat, lng, h0_prime, algorithm);
+      const time = event === "sunrise" ? rise : set;
+      row.push(time ? clockMinutes(time, day) : null);
+      rowOffsets.push(time ? time.offset : null);
+    });
+    values.push(row);
+    offsets.push(rowOffsets);
+    yield;
+  }
+  return { lats, lngs, values, offsets };
+}
+
+/**
+ * Spacing of contour levels that fits a range of values
+ * @param {number} min
+ * @param {number} max
+ * @returns {Minutes}
+ */
+function levelStep(min, max) {
+  const step = LEVEL_STEPS.find(s => (max - min) / s <= MAX_LEVELS);
+  return step || LEVEL_STEPS[LEVEL_STEPS.length - 1];
+}
+
+/**
+ * Segments of one contour level through a grid cell (marching squares)
+ * @param {{lat: Degrees, lng: Degrees, value: number}[]} corners Corners in
+ * order round the cell
+ * @param {number} level
+ * @returns {[Degrees, Degrees][][]} Zero, one or two segments
+ */
+function cellSegments(corners, level) {
+  const above = corners.map(pt => pt.value > level);
+  // where the level crosses each edge, in edge order
+  let crossings = [];
+  corners.forEach((a, i) => {
+    const b = corners[(i + 1) % 4];
+    if (above[i] !== above[(i + 1) % 4]) {
+      const t = (level - a.value) / (b.value - a.value);
+      crossings.push([
+        a.lat + (b.lat - a.lat) * t,
+        a.lng + (b.lng - a.lng) * t
+      ]);
+    }
+  });
+  if (crossings.length === 2) {
+    return [crossings];
+  }
+  if (crossings.length === 4) {
+    // a saddle: the middle of the cell decides which corners are cut off
+    const middle = corners.reduce((acc, pt) => acc + pt.value, 0) / 4;
+    const [e0, e1, e2, e3] = crossings;
+    return middle > level === above[0]
+      ? [[e0, e1], [e2, e3]]
+      : [[e3, e0], [e1, e2]];
+  }
+  return [];
+}
+
+/**
+ * Trace contour lines of equal local time through a grid of rise or set
+ * times. Lines stop at time zone borders, where the clock jumps; each stretch
+ * in one zone gets its own label.
+ * @param {{lats: Degrees[], lngs: Degrees[], values: ?Minutes[][], offsets: ?Minutes[][]}} grid
+ * Result of `isochroneGrid`
+ * @returns {{level: Minutes, text: string, segments: [Degrees, Degrees][][], labels: [Degrees, Degrees][]}[]}
+ * Lines by level, with the local time they stand for, their segments and
+ * where to put their labels
+ */
+export function isochroneLines(grid) {
+  const { lats, lngs, values, offsets } = grid;
+  const known = [].concat(...values).filter(v => v !== null);
+  if (known.length < 2) {
+    return [];
+  }
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const step = levelStep(min, max);
+
+  let lines = [];
+  for (let level = Math.ceil(min / step) * step; level <= max; level += step) {
+    // segments grouped by the UTC offset they're in, for labelling
+    let byOffset = {};
+    for (let r = 0; r < lats.length - 1; r++) {
+      for (let c = 0; c < lngs.length - 1; c++) {
+        const corners = [[r, c], [r, c + 1], [r + 1, c + 1], [r + 1, c]].map(
+          ([i, j]) => ({
+            lat: lats[i],
+            lng: lngs[j],
+            value: values[i][j],
+            offset: offsets[i][j]
+          })
+        );
+        const offset = corners[0].offset;
+        if (corners.some(pt => pt.value === null || pt.offset !== offset)) {
+          continue;
+        }
+        byOffset[offset] = (byOffset[offset] || []).concat(
+          cellSegments(corners, level)
+        );
+      }
+    }
+    const groups = Object.values(byOffset).filter(group => group.length);
+    if (!groups.length) {
+      continue;
+    }
+    lines.push({
+      level: level,
+      text: DateTime.utc(2000, 1, 1)
+        .plus({ minutes: level })
+        .toFormat("HH:mm"),
+      segments: [].concat(...groups),
+      labels: groups.map(group => {
+        const [a, b] = group[Math.floor(group.length / 2)];
+        return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      })
+    });
+  }
+  return lines;
+}
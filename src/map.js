@@ -1,6 +1,11 @@
 import L from "leaflet";
 import Semicircle from "leaflet-semicircle";
-import { getInputDate, setInputDate } from "./util";
+import {
+  getInputDate,
+  limit_degrees,
+  limit_degrees180pm,
+  setInputDate
+} from "./util";
 
 let keys = {};
 window.onkeyup = e => (keys[e.code] = false);
@@ -28,8 +33,9 @@ L.TimeScrollHandler = L.Map.ScrollWheelZoom.extend({
     // Scrolling "up" raises date, "down" lowers it
     date = delta > 0 ? date.minus(timeDelta) : date.plus(timeDelta);
 
-    // update date input control with the new date
-    setInputDate("dt", date);
+    // update date input control with the new date, as a quick preview while
+    // the wheel keeps turning
+    setInputDate("dt", date, true);
     e.preventDefault();
   }
 });
@@ -58,6 +64,76 @@ const tileLayers = {
   }
 };
 
+// line styles for the dawn/dusk rays of each kind of twilight
+const twilightStyles = {
+  civil: { color: "#5b7fbf", weight: 2, dashArray: "8 4" },
+  nautical: { color: "#34508f", weight: 2, dashArray: "4 4" },
+  astronomical: { color: "#1b2559", weight: 2, dashArray: "2 4" }
+};
+
+// fill styles for the golden hour and blue hour wedges
+const lightWindowStyles = {
+  golden: { color: "#e3a21a", weight: 1, fillOpacity: 0.25 },
+  blue: { color: "#2f5fc4", weight: 1, fillOpacity: 0.25 }
+};
+
+// fixed reference rays for sunrise/sunset at each solstice
+const solsticeStyles = {
+  june: { color: "#b5651d", weight: 1, opacity: 0.8 },
+  december: { color: "#4a6fa5", weight: 1, opacity: 0.8 }
+};
+
+// moonrise/moonset rays and markers
+const moonStyle = { color: "#8a8fa3", weight: 2, dashArray: "1 5" };
+
+// lines of equal sunrise or sunset time
+const isochroneStyle = { color: "#d35400", weight: 1.5, opacity: 0.8 };
+
+// night and each kind of twilight as shading that deepens towards the
+// middle of the night side, and the path of the overhead sun
+const dayNightStyle = {
+  stroke: false,
+  fillColor: "#0b1640",
+  fillOpacity: 0.12,
+  interactive: false
+};
+const terminatorStyle = { color: "#0b1640", weight: 1, opacity: 0.6 };
+const subsolarStyle = {
+  radius: 7,
+  color: "#b5651d",
+  fillColor: "#f7dc39",
+  fillOpacity: 1
+};
+const subsolarTrackStyle = { color: "#b5651d", weight: 1, dashArray: "4 4" };
+
+/**
+ * Copies of a line or polygon a world to either side, so it still shows
+ * once the map has been panned past ±180°
+ * @param {[Degrees, Degrees][]} points
+ * @returns {[Degrees, Degrees][][]}
+ */
+function worldCopies(points) {
+  return [-360, 0, 360].map(shift =>
+    points.map(([lat, lng]) => [lat, lng + shift])
+  );
+}
+
+/**
+ * Pick a colour for the sun ray from the sun's elevation
+ * @param {Degrees} elevation Topocentric sun elevation
+ * @returns {string} CSS colour
+ */
+function sunColor(elevation) {
+  if (elevation < -6) {
+    return twilightStyles.astronomical.color;
+  } else if (elevation < 0) {
+    return twilightStyles.civil.color;
+  } else if (elevation < 6) {
+    return lightWindowStyles.golden.color;
+  }
+  return "#f7dc39";
+}
+
 class Map {
   constructor(elId, observerLatLng, tileName = "OSM") {
     // set center point
@@ -81,6 +157,131 @@ class Map {
       color: "orange",
       fillOpacity: 0.1
     }).addTo(this._map);
+
+    // one wedge per window and time of day, drawn just outside the sun path
+    this._lightWindows = {};
+    Object.keys(lightWindowStyles).forEach(name => {
+      this._lightWindows[name] = {};
+      ["morning", "evening"].forEach(part => {
+        this._lightWindows[name][part] = L.semiCircle(this.observer, {
+          radius: dist20m * 1000 * 1.2,
+          startAngle: 0,
+          stopAngle: 0,
+          ...lightWindowStyles[name]
+        });
+      });
+    });
+
+    // sunrise/sunset behind the local horizon profile, when there is one
+    this._maskedRays = {
+      sunrise: L.polyline([], { color: "#7a5230", weight: 3 }),
+      sunset: L.polyline([], { color: "#7a5230", weight: 3 })
+    };
+    // the point on the terrain the sun rises/sets behind, when it's known
+    const obstructionStyle = { radius: 6, color: "#7a5230", fillOpacity: 0.9 };
+    this._obstructions = {
+      sunrise: L.circleMarker([0, 0], obstructionStyle),
+      sunset: L.circleMarker([0, 0], obstructionStyle)
+    };
+
+    // second point picked by the user, and the sight line to it
+    this._target = null;
+    this._targetMarker = L.circleMarker([0, 0], {
+      radius: 7,
+      color: "#c0392b",
+      fillOpacity: 0.8
+    });
+    this._targetLine = L.polyline([], {
+      color: "#c0392b",
+      weight: 2,
+      dashArray: "2 6"
+    });
+
+    // where to stand to see the sun set behind the target
+    this._standingLine = L.polyline([], {
+      color: "#c0392b",
+      weight: 2,
+      opacity: 0.6
+    });
+    this._standingBand = L.polyline([], { color: "#c0392b", weight: 8 });
+
+    // sun direction at the selected time of day
+    this._sunRay = L.polyline([], { weight: 4 })
+      .bindTooltip("", { sticky: true })
+      .addTo(this._map);
+
+    // text panel for messages about the current result
+    const status = L.control({ position: "topright" });
+    status.onAdd = () => {
+      this._statusDiv = L.DomUtil.create("div", "status");
+      this._statusDiv.style.display = "none";
+      return this._statusDiv;
+    };
+    status.addTo(this._map);
+
+    // how far sunrise and sunset swing through the year
+    this._solsticeRays = {};
+    Object.keys(solsticeStyles).forEach(name => {
+      this._solsticeRays[name] = {
+        sunrise: L.polyline([], solsticeStyles[name]).bindTooltip(""),
+        sunset: L.polyline([], solsticeStyles[name]).bindTooltip("")
+      };
+    });
+
+    // moonrise/moonset direction, with a marker labelled with the time
+    this._moonRays = {};
+    ["moonrise", "moonset"].forEach(which => {
+      this._moonRays[which] = {
+        line: L.polyline([], moonStyle),
+        marker: L.circleMarker([0, 0], {
+          ...moonStyle,
+          radius: 8,
+          dashArray: null,
+          fillColor: "#f4f1de",
+          fillOpacity: 0.9
+        }).bindTooltip("")
+      };
+    });
+
+    // object outline drawn by the user, and the shadow it casts
+    this._drawing = null;
+    this._footprint = L.polygon([], { color: "#444", weight: 2 });
+    this._footprintPoint = L.circleMarker([0, 0], { radius: 4, color: "#444" });
+    this._shadow = L.polygon([], {
+      color: "#333",
+      weight: 1,
+      fillOpacity: 0.35
+    }).bindTooltip("", { sticky: true });
+    this._map.on("click", e => {
+      if (this._drawing) {
+        this._drawing.points.push(e.latlng);
+        this.footprint = this._drawing.points;
+      }
+    });
+    this._map.on("dblclick", () => this.finishDrawing());
+
+    // lines of equal sunrise or sunset time across the view, with labels
+    this._isochrones = L.layerGroup();
+
+    // night side of the earth, twilight bands and the overhead sun
+    this._dayNight = L.layerGroup();
+
+    this._twilightRays = {};
+    Object.keys(twilightStyles).forEach(name => {
+      this._twilightRays[name] = {
+        dawn: L.polyline([], twilightStyles[name]).addTo(this._map),
+        dusk: L.polyline([], twilightStyles[name]).addTo(this._map)
+      };
+    });
+  }
+
+  set radius(meters) {
+    // size of the sun path and light window wedges, normally the distance to
+    // the observer's horizon
+    this._sunpath.setRadius(meters);
+    Object.values(this._lightWindows).forEach(parts =>
+      Object.values(parts).forEach(wedge => wedge.setRadius(meters * 1.2))
+    );
   }
 
   get sunset() {
@@ -88,9 +289,14 @@ class Map {
   }
 
   set sunset(latlngAngle) {
+    // no sunset during polar day/night
+    if (!latlngAngle) {
+      this._sunsetMarker.remove();
+      return;
+    }
     const latlng = latlngAngle.pt;
     const angle = latlngAngle.angle;
-    this._sunsetMarker.setLatLng(latlng);
+    this._sunsetMarker.setLatLng(latlng).addTo(this._map);
     this._sunpath.setStopAngle(angle);
   }
 
@@ -98,12 +304,345 @@ class Map {
     return this._sunriseMarker.getLatLng();
   }
   set sunrise(latlngAngle) {
+    if (!latlngAngle) {
+      this._sunriseMarker.remove();
+      return;
+    }
     const latlng = latlngAngle.pt;
     const angle = latlngAngle.angle;
-    this._sunriseMarker.setLatLng(latlng);
+    this._sunriseMarker.setLatLng(latlng).addTo(this._map);
     this._sunpath.setStartAngle(angle);
   }
 
+  set polar(polar) {
+    // the sun path covers every azimuth during polar day and none during
+    // polar night
+    if (!polar) {
+      this._sunpath.addTo(this._map);
+      this.status = "";
+      return;
+    }
+    if (polar.state === "day") {
+      this._sunpath.setStartAngle(0);
+      this._sunpath.setStopAngle(360);
+      this._sunpath.addTo(this._map);
+    } else {
+      this._sunpath.remove();
+    }
+
+    const fmt = "yyyy-MM-dd";
+    const lines = [
+      polar.state === "day"
+        ? "<b>Polar day</b>: the sun does not set"
+        : "<b>Polar night</b>: the sun does not rise",
+      `Transit ${polar.transit.toFormat("HH:mm")}, ` +
+        `elevation ${polar.minElevation.toFixed(1)}° to ` +
+        `${polar.maxElevation.toFixed(1)}°`,
+      polar.nextRiseSet
+        ? `Next sunrise/sunset on ${polar.nextRiseSet.toFormat(fmt)}`
+        : "No sunrise/sunset within a year"
+    ];
+    this.status = lines.join("<br>");
+  }
+
+  set status(html) {
+    this._statusDiv.innerHTML = html;
+    this._statusDiv.style.display = html ? "" : "none";
+  }
+
+  set sun(sun) {
+    // sun is {pt, angle, elevation}; the ray is dashed while the sun is down
+    this._sun = sun;
+    this._sunRay.setLatLngs([this.observer, sun.pt]);
+    this._sunRay.setStyle({
+      color: sunColor(sun.elevation),
+      dashArray: sun.elevation < 0 ? "6 6" : null
+    });
+    this._sunRay.setTooltipContent(
+      `Azimuth ${sun.angle.toFixed(1)}°, elevation ${sun.elevation.toFixed(1)}°`
+    );
+  }
+
+  /**
+   * Move the sun ray smoothly from where it is now to `sun`
+   * @param {{pt: Object, angle: Degrees, elevation: Degrees}} sun New sun ray
+   * @param {number} [duration=1000] Length of the animation in milliseconds
+   */
+  animateSun(sun, duration = 1000) {
+    cancelAnimationFrame(this._sunAnimation);
+    const from = this._sun;
+    if (!from) {
+      this.sun = sun;
+      return;
+    }
+    // go the short way round when the azimuth wraps past north
+    const turn = limit_degrees180pm(sun.angle - from.angle);
+    const lerp = (a, b, t) => a + (b - a) * t;
+    const start = performance.now();
+
+    const step = now => {
+      const t = Math.min((now - start) / duration, 1);
+      this.sun = {
+        pt: {
+          lat: lerp(from.pt.lat, sun.pt.lat, t),
+          lng: lerp(from.pt.lng, sun.pt.lng, t)
+        },
+        angle: limit_degrees(from.angle + turn * t),
+        elevation: lerp(from.elevation, sun.elevation, t)
+      };
+      if (t < 1) {
+        this._sunAnimation = requestAnimationFrame(step);
+      }
+    };
+    this._sunAnimation = requestAnimationFrame(step);
+  }
+
+  set twilight(rays) {
+    // rays are {pt, angle} keyed by twilight kind and dawn/dusk; a missing
+    // ray means the sun doesn't reach that depth, so hide its line
+    Object.keys(this._twilightRays).forEach(name => {
+      ["dawn", "dusk"].forEach(which => {
+        const ray = rays[name] && rays[name][which];
+        this._twilightRays[name][which].setLatLngs(
+          ray ? [this.observer, ray.pt] : []
+        );
+      });
+    });
+  }
+
+  set solstices(rays) {
+    // rays are {pt, angle} keyed by solstice and sunrise/sunset; null hides
+    // the whole fan, a missing ray means no sunrise/sunset on that solstice
+    Object.keys(this._solsticeRays).forEach(name => {
+      ["sunrise", "sunset"].forEach(which => {
+        const ray = rays && rays[name] && rays[name][which];
+        const line = this._solsticeRays[name][which];
+        if (!ray) {
+          line.remove();
+          return;
+        }
+        line
+          .setLatLngs([this.observer, ray.pt])
+          .setTooltipContent(
+            `${name[0].toUpperCase()}${name.slice(1)} solstice ${which}, ` +
+              `azimuth ${ray.angle.toFixed(1)}°`
+          )
+          .addTo(this._map);
+      });
+    });
+  }
+
+  set moon(rays) {
+    // rays are {pt, angle, time} for moonrise and moonset; a missing ray
+    // means the moon doesn't rise or set that day
+    Object.keys(this._moonRays).forEach(which => {
+      const ray = rays && rays[which];
+      const { line, marker } = this._moonRays[which];
+      if (!ray) {
+        line.remove();
+        marker.remove();
+        return;
+      }
+      line.setLatLngs([this.observer, ray.pt]).addTo(this._map);
+      marker
+        .setLatLng(ray.pt)
+        .setTooltipContent(
+          `${which === "moonrise" ? "Moonrise" : "Moonset"} ` +
+            `${ray.time.toFormat("HH:mm")}, azimuth ${ray.angle.toFixed(1)}°`
+        )
+        .addTo(this._map);
+    });
+  }
+
+  set lightWindows(windows) {
+    // windows are {startAzimuth, endAzimuth} keyed by window name and
+    // morning/evening; a missing window hides its wedge
+    Object.keys(this._lightWindows).forEach(name => {
+      ["morning", "evening"].forEach(part => {
+        const wedge = this._lightWindows[name][part];
+        const span = windows[name] && windows[name][part];
+        if (!span) {
+          wedge.remove();
+          return;
+        }
+        // semicircles are drawn clockwise, so start from whichever end of
+        // the sweep makes that the short way round
+        const clockwise =
+          limit_degrees(span.endAzimuth - span.startAzimuth) <= 180;
+        wedge.setStartAngle(clockwise ? span.startAzimuth : span.endAzimuth);
+        wedge.setStopAngle(clockwise ? span.endAzimuth : span.startAzimuth);
+        wedge.addTo(this._map);
+      });
+    });
+  }
+
+  set masked(rays) {
+    // rays are {pt, angle, obstruction} for sunrise and sunset behind the
+    // horizon profile, where `obstruction` is the blocking point on the
+    // terrain if known; null (or a missing ray) hides them
+    Object.keys(this._maskedRays).forEach(which => {
+      const ray = rays && rays[which];
+      const line = this._maskedRays[which];
+      const marker = this._obstructions[which];
+      if (!ray) {
+        line.remove();
+        marker.remove();
+        return;
+      }
+      line.setLatLngs([this.observer, ray.pt]).addTo(this._map);
+      if (ray.obstruction) {
+        marker.setLatLng(ray.obstruction).addTo(this._map);
+      } else {
+        marker.remove();
+      }
+    });
+  }
+
+  get target() {
+    return this._target;
+  }
+
+  set target(latlng) {
+    this._target = latlng;
+    this.standing = null;
+    if (!latlng) {
+      this._targetMarker.remove();
+      this._targetLine.remove();
+      return;
+    }
+    this._targetMarker.setLatLng(latlng).addTo(this._map);
+    this._targetLine.setLatLngs([this.observer, latlng]).addTo(this._map);
+  }
+
+  set standing(plan) {
+    // plan is {line, band} from standingLine(), or null to clear it
+    if (!plan) {
+      this._standingLine.remove();
+      this._standingBand.remove();
+      return;
+    }
+    this._standingLine.setLatLngs(plan.line).addTo(this._map);
+    this._standingBand.setLatLngs(plan.band).addTo(this._map);
+  }
+
+  /**
+   * Let the user click out an object outline on the map (one click for a
+   * pole or tree) until `finishDrawing` or a double click
+   * @param {function(Object[])} onDone Called with the outline's points
+   */
+  startDrawing(onDone) {
+    this._drawing = { points: [], onDone: onDone };
+    this._map.doubleClickZoom.disable();
+    this.footprint = null;
+    this.shadow = null;
+  }
+
+  finishDrawing() {
+    if (!this._drawing) {
+      return;
+    }
+    const { points, onDone } = this._drawing;
+    this._drawing = null;
+    this._map.doubleClickZoom.enable();
+    // both clicks of the finishing double click land on the same spot
+    onDone(points.filter((pt, i) => i === 0 || !pt.equals(points[i - 1])));
+  }
+
+  get drawing() {
+    return !!this._drawing;
+  }
+
+  set footprint(points) {
+    // a single point is drawn as a dot, anything more as an outline
+    this._footprint.remove();
+    this._footprintPoint.remove();
+    if (!points || !points.length) {
+      return;
+    }
+    if (points.length === 1) {
+      this._footprintPoint.setLatLng(points[0]).addTo(this._map);
+    } else {
+      this._footprint.setLatLngs(points).addTo(this._map);
+    }
+  }
+
+  set shadow(shadow) {
+    // shadow is {polygon, length, azimuth} from shadowPolygon(), or null
+    if (!shadow) {
+      this._shadow.remove();
+      return;
+    }
+    this._shadow
+      .setLatLngs(shadow.polygon)
+      .setTooltipContent(
+        `Shadow ${shadow.length.toFixed(1)} m towards ` +
+          `${shadow.azimuth.toFixed(1)}°`
+      )
+      .addTo(this._map);
+  }
+
+  set isochrones(lines) {
+    // lines are from isochroneLines(), or null to hide them
+    this._isochrones.clearLayers();
+    if (!lines) {
+      this._isochrones.remove();
+      return;
+    }
+    lines.forEach(line => {
+      L.polyline(line.segments, isochroneStyle).addTo(this._isochrones);
+      line.labels.forEach(pt =>
+        L.marker(pt, {
+          icon: L.divIcon({
+            className: "isochrone-label",
+            html: line.text,
+            iconSize: null
+          }),
+          interactive: false
+        }).addTo(this._isochrones)
+      );
+    });
+    this._isochrones.addTo(this._map);
+  }
+
+  set dayNight(overlay) {
+    // overlay is from dayNight(), or null to hide it
+    this._dayNight.clearLayers();
+    if (!overlay) {
+      this._dayNight.remove();
+      return;
+    }
+    overlay.bands.forEach(band => {
+      const copies = worldCopies(band.polygon);
+      const polygons = copies.map(ring => [ring]);
+      L.polygon(polygons, dayNightStyle).addTo(this._dayNight);
+      if (band.name === "night") {
+        L.polyline(copies, terminatorStyle).addTo(this._dayNight);
+      }
+    });
+    L.polyline(worldCopies(overlay.track), subsolarTrackStyle).addTo(
+      this._dayNight
+    );
+    const { lat, lng } = overlay.subsolar;
+    L.circleMarker([lat, lng], subsolarStyle)
+      .bindTooltip(`Sun overhead at ${lat.toFixed(2)}°, ${lng.toFixed(2)}°`)
+      .addTo(this._dayNight);
+    this._dayNight.addTo(this._map);
+  }
+
+  /**
+   * Area the map shows at the moment
+   * @returns {{south: Degrees, west: Degrees, north: Degrees, east: Degrees}}
+   */
+  get bounds() {
+    const view = this._map.getBounds();
+    return {
+      south: view.getSouth(),
+      west: view.getWest(),
+      north: view.getNorth(),
+      east: view.getEast()
+    };
+  }
+
   get observer() {
     return this._observer;
   }
@@ -112,6 +651,12 @@ class Map {
     this._observer = latlng;
     this._observerMarker.setLatLng(this.observer);
     this._sunpath.setLatLng(this.observer);
+    if (this.target) {
+      this._targetLine.setLatLngs([this.observer, this.target]);
+    }
+    Object.values(this._lightWindows).forEach(parts =>
+      Object.values(parts).forEach(wedge => wedge.setLatLng(this.observer))
+    );
   }
 
   on(evt, func) {
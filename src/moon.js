@@ -0,0 +1,316 @@
+import data from "./data";
+import {
+  geocentricDeclination,
+  geocentricRightAscension,
+  geoRA_D,
+  greenwichApparentSiderealTime,
+  julian,
+  nutationLongitude,
+  observerLocalHourAngle,
+  topocentricAzimuthAngle,
+  topocentricSunPosition,
+  topocentricZenith,
+  trueEclipticObliquity
+} from "./spa";
+import { limit_degrees } from "./util";
+
+/**
+ * Kilometers in one astronomical unit
+ * @type {number}
+ */
+const AU_KM = 149597870.7;
+
+/**
+ * Minutes between samples when scanning a day for moonrise and moonset
+ * @type {Minutes}
+ */
+const MOON_SCAN_STEP = 10;
+
+const deg2rad = deg => (deg * Math.PI) / 180;
+const rad2deg = rad => (rad * 180) / Math.PI;
+
+/**
+ * Evaluate a polynomial in T, lowest order coefficient first
+ * @param {number[]} coeffs Coefficients
+ * @param {number} T Julian Ephemeris Century
+ * @returns {number}
+ */
+function poly(coeffs, T) {
+  return coeffs.reduce((acc, c, i) => acc + c * T ** i, 0);
+}
+
+/**
+ * Geocentric ecliptic position of the moon, from the truncated ELP-2000/82
+ * series in Meeus, Astronomical Algorithms (2nd ed.) Chapter 47
+ * @param {number} jce Julian Ephemeris Century
+ * @returns {{lambda: Degrees, beta: Degrees, distance: number}} Mean-equinox
+ * longitude, latitude, and distance in kilometers between the centers of the
+ * earth and moon
+ */
+function moonEcliptic(jce) {
+  const T = jce;
+  // moon's mean longitude (Equation 47.1)
+  const Lp = limit_degrees(
+    poly(
+      [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000],
+      T
+    )
+  );
+  // mean elongation of the moon (Equation 47.2)
+  const D = limit_degrees(
+    poly(
+      [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000],
+      T
+    )
+  );
+  // sun's mean anomaly (Equation 47.3)
+  const M = limit_degrees(
+    poly([357.5291092, 35999.0502909, -0.0001536, 1 / 24490000], T)
+  );
+  // moon's mean anomaly (Equation 47.4)
+  const Mp = limit_degrees(
+    poly(
+      [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000],
+      T
+    )
+  );
+  // moon's argument of latitude (Equation 47.5)
+  const F = limit_degrees(
+    poly(
+      [93.272095, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000],
+      T
+    )
+  );
+  // planetary arguments
+  const A1 = limit_degrees(119.75 + 131.849 * T);
+  const A2 = limit_degrees(53.09 + 479264.29 * T);
+  const A3 = limit_degrees(313.45 + 481266.484 * T);
+
+  // eccentricity of the earth's orbit shrinks terms that depend on M
+  // (Equation 47.6)
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const eFactor = m => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+  const arg = row =>
+    deg2rad(row[0] * D + row[1] * M + row[2] * Mp + row[3] * F);
+
+  let sumL = 0;
+  let sumR = 0;
+  data.moonLongitudeDistanceTerms.forEach(row => {
+    const e = eFactor(row[1]);
+    sumL += row[4] * e * Math.sin(arg(row));
+    sumR += row[5] * e * Math.cos(arg(row));
+  });
+  let sumB = 0;
+  data.moonLatitudeTerms.forEach(row => {
+    sumB += row[4] * eFactor(row[1]) * Math.sin(arg(row));
+  });
+
+  // additive terms for Venus, Jupiter and the earth's flattening
+  sumL +=
+    3958 * Math.sin(deg2rad(A1)) +
+    1962 * Math.sin(deg2rad(Lp - F)) +
+    318 * Math.sin(deg2rad(A2));
+  sumB +=
+    -2235 * Math.sin(deg2rad(Lp)) +
+    382 * Math.sin(deg2rad(A3)) +
+    175 * Math.sin(deg2rad(A1 - F)) +
+    175 * Math.sin(deg2rad(A1 + F)) +
+    127 * Math.sin(deg2rad(Lp - Mp)) -
+    115 * Math.sin(deg2rad(Lp + Mp));
+
+  return {
+    lambda: limit_degrees(Lp + sumL / 1000000),
+    beta: sumB / 1000000,
+    distance: 385000.56 + sumR / 1000
+  };
+}
+
+/**
+ * Geocentric apparent right ascension and declination of the moon
+ * @param {DateTime} date Time in question
+ * @returns {{alpha: Degrees, delta: Degrees, distance: number, nu: Degrees}}
+ * Right ascension, declination, earth-moon distance in kilometers, and
+ * apparent sidereal time at Greenwich
+ */
+function moonEquatorial(date) {
+  const { jd, jc, jde, jce, jme } = julian(date);
+  const { lambda, beta, distance } = moonEcliptic(jce);
+
+  const del_psi = nutationLongitude(jce);
+  const epsilon = trueEclipticObliquity(jme, jce);
+  const apparentLambda = lambda + del_psi;
+
+  return {
+    alpha: geocentricRightAscension(apparentLambda, epsilon, beta),
+    delta: geocentricDeclination(apparentLambda, epsilon, beta),
+    distance: distance,
+    nu: greenwichApparentSiderealTime(jd, jc, jde, del_psi, epsilon)
+  };
+}
+
+/**
+ * Topocentric moon position for an observer
+ * @param {DateTime} date Time in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} elevation Observer elevation
+ * @param {Celsius} temp Temperature at the observer
+ * @param {Millibar} pressure Pressure at the observer
+ * @returns {{azimuth: Degrees, elevation: Degrees, e0: Degrees, alpha: Degrees, delta: Degrees, distance: number, semidiameter: Degrees}}
+ * Azimuth clockwise from north, refracted and geometric (`e0`) elevation,
+ * geocentric right ascension and declination, distance in kilometers and the
+ * moon's apparent radius
+ */
+function moonTopocentric(date, lat, lng, elevation, temp, pressure) {
+  const geo = moonEquatorial(date);
+  const H = observerLocalHourAngle(geo.nu, lng, geo.alpha);
+
+  // the sun's parallax formula works for the moon given its distance in AU
+  const topo = topocentricSunPosition(
+    lat,
+    elevation,
+    geo.distance / AU_KM,
+    H,
+    geo.delta,
+    geo.alpha
+  );
+  const zenith = topocentricZenith(
+    lat,
+    topo.localHourAngle,
+    topo.declination,
+    pressure,
+    temp
+  );
+  const azimuth = topocentricAzimuthAngle(
+    lat,
+    topo.localHourAngle,
+    topo.declination
+  );
+
+  return {
+    azimuth: azimuth.navigators,
+    elevation: zenith.elevationAngle,
+    e0: zenith.uncorrectedElevation,
+    alpha: geo.alpha,
+    delta: geo.delta,
+    distance: geo.distance,
+    // Meeus Chapter 55: s = 358473400" / distance in km
+    semidiameter: 358473400 / geo.distance / 3600
+  };
+}
+
+/**
+ * Moon position and phase as seen by an observer
+ * @param {DateTime} date Time in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} [elevation=0] Observer elevation
+ * @param {Celsius} [temp=10] Temperature at the observer
+ * @param {Millibar} [pressure=1010] Pressure at the observer
+ * @returns {{azimuth: Degrees, elevation: Degrees, distance: number, phaseAngle: Degrees, illuminatedFraction: number, waxing: boolean}}
+ * Azimuth clockwise from north, refracted elevation, distance in kilometers,
+ * phase angle (0 at full moon), illuminated fraction of the disk (0 to 1) and
+ * whether the moon is waxing
+ */
+export function moonPosition(
+  date,
+  lat,
+  lng,
+  elevation = 0,
+  temp = 10,
+  pressure = 1010
+) {
+  const moon = moonTopocentric(date, lat, lng, elevation, temp, pressure);
+  const sun = geoRA_D(date);
+
+  // geocentric elongation of the moon from the sun (Meeus Equation 48.2)
+  const psi = Math.acos(
+    Math.sin(deg2rad(sun.delta)) * Math.sin(deg2rad(moon.delta)) +
+      Math.cos(deg2rad(sun.delta)) *
+        Math.cos(deg2rad(moon.delta)) *
+        Math.cos(deg2rad(sun.alpha - moon.alpha))
+  );
+  // phase angle (Meeus Equation 48.3)
+  const sunDistance = sun.r * AU_KM;
+  const phaseAngle = rad2deg(
+    Math.atan2(
+      sunDistance * Math.sin(psi),
+      moon.distance - sunDistance * Math.cos(psi)
+    )
+  );
+
+  return {
+    azimuth: moon.azimuth,
+    elevation: moon.elevation,
+    distance: moon.distance,
+    phaseAngle: phaseAngle,
+    // Meeus Equation 48.1
+    illuminatedFraction: (1 + Math.cos(deg2rad(phaseAngle))) / 2,
+    // the moon waxes while it is less than 180° east of the sun
+    waxing: limit_degrees(moon.alpha - sun.alpha) < 180
+  };
+}
+
+/**
+ * Find moonrise and moonset during the local day of `date`. The moon rises
+ * about 50 minutes later each day, so some days have no moonrise or no
+ * moonset; those are null.
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} [elevation=0] Observer elevation
+ * @returns {{moonRise: ?DateTime, moonSet: ?DateTime, riseAzimuth: ?Degrees, setAzimuth: ?Degrees}}
+ */
+export function moonriseMoonset(date, lat, lng, elevation = 0) {
+  // height of the moon's upper limb above the horizon, allowing for
+  // refraction; parallax is already in the topocentric elevation
+  const sample = time => {
+    const moon = moonTopocentric(time, lat, lng, elevation, 10, 1010);
+    return {
+      time: time,
+      azimuth: moon.azimuth,
+      value: moon.e0 + data.REFRACTION_AT_SUNSET + moon.semidiameter
+    };
+  };
+
+  // narrow a sign change between two samples down to about a second
+  const bisect = (a, b) => {
+    while (b.time.diff(a.time).milliseconds > 1000) {
+      const mid = sample(
+        a.time.plus({ milliseconds: b.time.diff(a.time).milliseconds / 2 })
+      );
+      if (Math.sign(mid.value) === Math.sign(a.value)) {
+        a = mid;
+      } else {
+        b = mid;
+      }
+    }
+    return b;
+  };
+
+  const dayStart = date.startOf("day");
+  const dayEnd = dayStart.plus({ days: 1 });
+  let rise = null;
+  let set = null;
+  let prev = sample(dayStart);
+  for (
+    let time = dayStart.plus({ minutes: MOON_SCAN_STEP });
+    time <= dayEnd;
+    time = time.plus({ minutes: MOON_SCAN_STEP })
+  ) {
+    const cur = sample(time);
+    if (prev.value < 0 && cur.value >= 0 && !rise) {
+      rise = bisect(prev, cur);
+    } else if (prev.value >= 0 && cur.value < 0 && !set) {
+      set = bisect(prev, cur);
+    }
+    prev = cur;
+  }
+
+  return {
+    moonRise: rise && rise.time,
+    moonSet: set && set.time,
+    riseAzimuth: rise && rise.azimuth,
+    setAzimuth: set && set.azimuth
+  };
+}
@@ -0,0 +1,66 @@
+import { DateTime } from "luxon";
+import { geoRA_D } from "./spa";
+import { limit_degrees180pm } from "./util";
+
+/**
+ * Solstices, equinoxes and the cross-quarter days between them, keyed by the
+ * apparent solar longitude that marks each one
+ * @type {{longitude: Degrees, name: string}[]}
+ */
+const SEASON_POINTS = [
+  { longitude: 315, name: "February cross-quarter" },
+  { longitude: 0, name: "March equinox" },
+  { longitude: 45, name: "May cross-quarter" },
+  { longitude: 90, name: "June solstice" },
+  { longitude: 135, name: "August cross-quarter" },
+  { longitude: 180, name: "September equinox" },
+  { longitude: 225, name: "November cross-quarter" },
+  { longitude: 270, name: "December solstice" }
+];
+
+/**
+ * Mean length of the tropical year
+ * @type {number}
+ */
+const TROPICAL_YEAR_DAYS = 365.2422;
+
+/**
+ * Find the instant in a year when the sun's apparent longitude reaches a
+ * given value, refining a first guess with Meeus' correction (Astronomical
+ * Algorithms Chapter 27) until it moves by less than a second
+ * @param {number} year Calendar year
+ * @param {Degrees} longitude Apparent solar longitude, multiple of 45° or not
+ * @returns {DateTime} UTC instant
+ */
+export function solarLongitudeInstant(year, longitude) {
+  // the sun passes 0° around March 20 and moves about a degree a day
+  const start = DateTime.utc(year, 3, 20);
+  let days = (((longitude % 360) + 360) % 360) * (TROPICAL_YEAR_DAYS / 360);
+  let time = start.plus({ days: days });
+  if (time.year > year) {
+    time = start.plus({ days: days - TROPICAL_YEAR_DAYS });
+  }
+
+  for (let i = 0; i < 20; i++) {
+    const { lambda } = geoRA_D(time);
+    const correction =
+      58 * Math.sin((limit_degrees180pm(longitude - lambda) * Math.PI) / 180);
+    time = time.plus({ days: correction });
+    if (Math.abs(correction) * 86400 < 1) {
+      break;
+    }
+  }
+  return time;
+}
+
+/**
+ * Solstices, equinoxes and cross-quarter days of a year, in date order
+ * @param {number} year Calendar year
+ * @returns {{name: string, longitude: Degrees, time: DateTime}[]} UTC instants
+ */
+export function seasons(year) {
+  return SEASON_POINTS.map(point => ({
+    ...point,
+    time: solarLongitudeInstant(year, point.longitude)
+  }));
+}
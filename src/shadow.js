@@ -0,0 +1,79 @@
+import { latLngFromAzimuth } from "./spa";
+
+/**
+ * Longest shadow drawn; with the sun just above the horizon shadows run out
+ * for kilometers and stop meaning much
+ * @type {Meters}
+ */
+const MAX_SHADOW_LENGTH = 2000;
+
+/**
+ * Convex hull of points in a local plane (Andrew's monotone chain)
+ * @param {{x: number, y: number}[]} points
+ * @returns {{x: number, y: number}[]} Hull points, counter-clockwise
+ */
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = list => {
+    let hull = [];
+    list.forEach(pt => {
+      while (
+        hull.length >= 2 &&
+        cross(hull[hull.length - 2], hull[hull.length - 1], pt) <= 0
+      ) {
+        hull.pop();
+      }
+      hull.push(pt);
+    });
+    hull.pop();
+    return hull;
+  };
+  return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+/**
+ * Project the shadow of an object with a flat top onto level ground
+ * @param {{lat: Degrees, lng: Degrees}[]} footprint Outline of the object, or
+ * a single point for a pole or tree; a concave outline is treated as its
+ * convex hull
+ * @param {Meters} height Height of the object's top above the ground
+ * @param {{azimuth: Degrees, elevation: Degrees}} sun Sun position
+ * @returns {?{polygon: Object[], length: Meters, azimuth: Degrees}} Outline of
+ * the shadow (footprint and all), how far it reaches beyond the footprint and
+ * which way it points; null when the sun is down
+ */
+export function shadowPolygon(footprint, height, sun) {
+  if (sun.elevation <= 0 || !footprint.length) {
+    return null;
+  }
+  const length = Math.min(
+    height / Math.tan((sun.elevation * Math.PI) / 180),
+    MAX_SHADOW_LENGTH
+  );
+  const azimuth = (sun.azimuth + 180) % 360;
+  const tips = footprint.map(pt =>
+    latLngFromAzimuth([pt.lat, pt.lng], length, azimuth)
+  );
+
+  if (footprint.length === 1) {
+    return { polygon: [footprint[0], tips[0]], length, azimuth };
+  }
+
+  // the shadow of a prism is the hull of its base and its projected top;
+  // work in a plane scaled so a degree of longitude is as long as one of
+  // latitude here
+  const scale = Math.cos((footprint[0].lat * Math.PI) / 180);
+  const hull = convexHull(
+    footprint.concat(tips).map(pt => ({ x: pt.lng * scale, y: pt.lat }))
+  );
+  return {
+    polygon: hull.map(pt => ({ lat: pt.y, lng: pt.x / scale })),
+    length: length,
+    azimuth: azimuth
+  };
+}
@@ -1,5 +1,7 @@
-import { DateTime } from "luxon";
+import { DateTime, FixedOffsetZone } from "luxon";
 import data from "./data";
+import { deltaT, deltaTEstimate } from "./deltaT";
+import { dut1 } from "./iers";
 import { limit_degrees, limit_degrees180pm } from "./util";
 
 // region typedefs
@@ -82,82 +84,22 @@ function sum(arr) {
 }
 
 /**
- * Return the fraction of the day that is complete
- * @param {DateTime} date a luxon DateTime of interest
- * @return {number} Fractional part of day complete
+ * Julian Day at the Unix epoch, 1970-01-01 0h UTC
+ * @type {number}
  */
-function dayFraction(date) {
-  // convert incoming date to UTC
-  date = date.toUTC();
-  // get the start of this day
-  const dayStart = DateTime.utc(date.year, date.month, date.day, 0, 0, 0);
-  // calculate total milliseconds in a full day
-  const msecInDay = 24 * 60 * 60 * 1000;
-  // return the fraction of this day completed
-  return date.diff(dayStart).milliseconds / msecInDay;
-}
+const UNIX_EPOCH_JD = 2440587.5;
 
 /**
- * Calculate the Julian Day from a calendar date
- * https://www.nrel.gov/docs/fy08osti/34302.pdf Equation 4
+ * Calculate the Julian Day of an instant. This gives the same day count as
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Equation 4 applied to the
+ * proleptic Gregorian date luxon counts in, but straight from the instant;
+ * Julian calendar dates are converted when they are read in.
  * @param {DateTime} date DateTime in question
  * @param {number} [delta_ut1] DUT1 = UT(1) - UTC
  * @returns {number} Julian Day
  */
 function julianDay(date, delta_ut1 = 0) {
-  date = date.toUTC();
-  if (delta_ut1) {
-    date.seconds += delta_ut1;
-  }
-
-  // Shift Jan/Feb to previous years for easier counting
-  let month = date.month;
-  let year = date.year;
-  if (month <= 2) {
-    month += 12;
-    year -= 1;
-  }
-  const yearPart = Math.trunc(365.25 * (year + 4716));
-  const monthPart = Math.trunc(30.6001 * (month + 1));
-  const dayPart = date.day + dayFraction(date);
-  const tzOffsetFraction = date.offset / (60 * 24);
-
-  let jd = yearPart + monthPart + dayPart - 1524.5 - tzOffsetFraction;
-
-  const A = Math.trunc(date.year / 100);
-  const B = jd < 2299160 ? 0 : 2 - A + Math.trunc(A / 4);
-
-  jd += B;
-  return jd;
-}
-
-/**
- * Get the ∆T (TT-UT) for a given day
- * @param {DateTime} date Day in question
- * @returns {number|*}
- */
-function deltaT(date) {
-  const year = date.year;
-  // TODO: pull actual data from somewhere
-  const ord = date.ordinal;
-  const daysInYear = DateTime.utc(date.year, 12, 31).ordinal;
-  const frac = ord / daysInYear;
-  const quarter = Math.floor(frac / 0.25);
-  const quarterFrac = quarter * 0.25;
-
-  const yearLookup =
-    quarterFrac > 0
-      ? (year + quarterFrac).toString().padEnd(7, "0")
-      : year.toString() + ".00";
-
-  const results = data.deltaT;
-
-  if (yearLookup < results.first.year) {
-    return results.first.data;
-  } else if (yearLookup > results.last.year) {
-    return results.last.data;
-  }
-  return results[yearLookup];
+  return (date.toMillis() + delta_ut1 * 1000) / 86400000 + UNIX_EPOCH_JD;
 }
 
 /**
@@ -304,7 +246,7 @@ const xFactors = jce =>
  * @param {number[]} [x] Earth/Moon "X-factors"
  * @returns {Degrees} nutation in longitude (deltaPsi)
  */
-function nutationLongitude(jce, x) {
+export function nutationLongitude(jce, x) {
   // get factors X0-X4 (Equations 15-18)
   x = x || xFactors(jce);
 
@@ -387,7 +329,7 @@ function meanEclipticObliquity(jme) {
  * @param {number} jce Julian Ephemeris Century
  * @returns {Degrees} True obliquity of the ecliptic
  */
-function trueEclipticObliquity(jme, jce) {
+export function trueEclipticObliquity(jme, jce) {
   return meanEclipticObliquity(jme) / 3600 + nutationObliquity(jce);
 }
 
@@ -423,7 +365,7 @@ function apparentSunLongitude(Theta, dPsi, dTau) {
  * @param {Degrees} epsilon True obliquity of the ecliptic
  * @returns {Degrees} Apparent sidereal time at Greenwich, ν
  */
-function greenwichApparentSiderealTime(jd, jc, jde, dPsi, epsilon) {
+export function greenwichApparentSiderealTime(jd, jc, jde, dPsi, epsilon) {
   // calculate mean sidereal time at Greenwich (Equation 28)
   const meanSidereal = limit_degrees(
     280.46061837 +
@@ -444,7 +386,7 @@ function greenwichApparentSiderealTime(jd, jc, jde, dPsi, epsilon) {
  * @param {Degrees} beta Geocentric latitude of the sun
  * @returns {Degrees} Geocentric sun right ascension, α
  */
-function geocentricRightAscension(lambda, epsilon, beta) {
+export function geocentricRightAscension(lambda, epsilon, beta) {
   const lambda_rad = deg2rad(lambda);
   const epsilon_rad = deg2rad(epsilon);
 
@@ -465,7 +407,7 @@ function geocentricRightAscension(lambda, epsilon, beta) {
  * @param {Degrees} beta Geocentric latitude of the sun
  * @returns {Degrees} Geocentric sun declination, δ
  */
-function geocentricDeclination(lambda, epsilon, beta) {
+export function geocentricDeclination(lambda, epsilon, beta) {
   const beta_rad = deg2rad(beta);
   const epsilon_rad = deg2rad(epsilon);
 
@@ -485,7 +427,7 @@ function geocentricDeclination(lambda, epsilon, beta) {
  * @param {Degrees} alpha Geocentric right ascension of the sun
  * @returns {Degrees} Observer local hour angle, H
  */
-function observerLocalHourAngle(nu, sigma, alpha) {
+export function observerLocalHourAngle(nu, sigma, alpha) {
   return limit_degrees(nu + sigma - alpha);
 }
 
@@ -500,7 +442,7 @@ function observerLocalHourAngle(nu, sigma, alpha) {
  * @param {Degrees} alpha Geocentric sun right ascension
  * @returns {{declination: Degrees, rightAscension: Degrees, localHourAngle: Degrees}} Topocentric sun right ascension αʹ
  */
-function topocentricSunPosition(lat, elev, R, H, delta, alpha) {
+export function topocentricSunPosition(lat, elev, R, H, delta, alpha) {
   const h_rad = deg2rad(H);
   const delta_rad = deg2rad(delta);
   const lat_rad = deg2rad(lat);
@@ -552,7 +494,7 @@ function topocentricSunPosition(lat, elev, R, H, delta, alpha) {
  * @param {Celsius} temp Temperature at observation point
  * @returns {{elevationAngle: Degrees, zenithAngle: Degrees, uncorrectedElevation: Degrees}} Topocentric elevation and zenith angles
  */
-function topocentricZenith(lat, hPrime, deltaPrime, pressure, temp) {
+export function topocentricZenith(lat, hPrime, deltaPrime, pressure, temp) {
   const lat_rad = deg2rad(lat);
   const delta_prime_rad = deg2rad(deltaPrime);
 
@@ -608,7 +550,7 @@ function pressureAtElevation(elevation) {
  * @param {Degrees} deltaPrime Topocentric sun declination
  * @returns {{astronomers: Degrees, navigators: Degrees}} Topocentric azimuth angle
  */
-function topocentricAzimuthAngle(observerLatitude, hPrime, deltaPrime) {
+export function topocentricAzimuthAngle(observerLatitude, hPrime, deltaPrime) {
   const hPrime_rad = deg2rad(hPrime);
   const lat_rad = deg2rad(observerLatitude);
   const gamma = limit_degrees(
@@ -625,6 +567,36 @@ function topocentricAzimuthAngle(observerLatitude, hPrime, deltaPrime) {
   return { astronomers: astronomers, navigators: navigators };
 }
 
+/**
+ * Calculate the incidence angle of the sun's rays on a tilted surface
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Equation 47
+ * @param {Degrees} zenith Topocentric zenith angle
+ * @param {Degrees} azimuthAstro Topocentric astronomers' azimuth (westward
+ * from south)
+ * @param {Degrees} slope Surface slope (tilt) from the horizontal
+ * @param {Degrees} azmRotation Surface azimuth rotation, from south to the
+ * projection of the surface normal on the ground, positive to the west
+ * @returns {Degrees} Angle between the sun's rays and the surface normal
+ */
+export function surfaceIncidenceAngle(
+  zenith,
+  azimuthAstro,
+  slope,
+  azmRotation
+) {
+  const zenith_rad = deg2rad(zenith);
+  const slope_rad = deg2rad(slope);
+
+  return rad2deg(
+    Math.acos(
+      Math.cos(zenith_rad) * Math.cos(slope_rad) +
+        Math.sin(slope_rad) *
+          Math.sin(zenith_rad) *
+          Math.cos(deg2rad(azimuthAstro - azmRotation))
+    )
+  );
+}
+
 /**
  * Calculate sun's mean longitude (in degrees
  * https://www.nrel.gov/docs/fy08osti/34302.pdf Equation A2
@@ -702,10 +674,20 @@ function sunHourAngleAtRiseSet(lat, delta_zero, h0_prime) {
     : -99999;
 }
 
-function approxSunRiseSet(m0, h0) {
-  const m1 = limit_degrees(m0 - h0 / 360, 1);
-  const m2 = limit_degrees(m0 + h0 / 360, 1);
-  m0 = limit_degrees(m0, 1);
+/**
+ * Calculate approximate transit, sunrise and sunset times
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Equations A4-A6
+ * @param {number} m0 Approximate transit time as a fraction of the UT day
+ * @param {Degrees} h0 Sun hour angle at sunrise/sunset
+ * @param {number} [dayStart=0] Start of the wanted day as a fraction of the
+ * UT day, so that times are kept inside the observer's local day
+ * @returns {number[]} Transit, sunrise and sunset as fractions of the UT day
+ */
+function approxSunRiseSet(m0, h0, dayStart = 0) {
+  const limit = m => limit_degrees(m - dayStart, 1) + dayStart;
+  const m1 = limit(m0 - h0 / 360);
+  const m2 = limit(m0 + h0 / 360);
+  m0 = limit(m0);
   return [m0, m1, m2];
 }
 
@@ -756,130 +738,20 @@ function startOfDay(date) {
   return DateTime.utc(date.year, date.month, date.day);
 }
 
-export function sunRiseSetTransit(spa) {
-  // find sun elevation at sunrise and sunset
-  const h0_prime = -1 * (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET);
-
-  const midnightUT = startOfDay(spa.date);
-
-  // Calculate apparent sidereal time at 0 UT (Step A.2.1)
-  const nu = new SPA(
-    midnightUT,
-    spa.latitude,
-    spa.longitude,
-    spa.elevation,
-    spa.temp,
-    spa.pressure,
-    spa.delta_t,
-    0
-  ).nu;
-
-  // const nu = gAST(midnightUT, spa.delta_t);
-
-  // Calculate geocentric right ascension and declination at 0TT (delta_t=0) (Step A.2.2)
-  const sun_rts = new SPA(
-    midnightUT,
-    spa.latitude,
-    spa.longitude,
-    spa.elevation,
-    spa.temp,
-    spa.pressure,
-    0,
-    0
-  );
-
-  let alpha = new Array(3);
-  let delta = new Array(3);
-  [-1, 0, 1].forEach(i => {
-    const newSpa = sun_rts.add_days(i);
-    alpha[i + 1] = newSpa.alpha;
-    delta[i + 1] = newSpa.delta;
-  });
-
-  // Calculate approximate sun transit time as fraction of a day (Step A.2.3)
-  const m0 = approxSunTransitTime(alpha[1], spa.longitude, nu);
-
-  const h0 = sunHourAngleAtRiseSet(spa.latitude, delta[1], h0_prime);
-
-  let ssha, srha, sta, sunRise, sunSet, sunTransit;
-
-  if (h0 >= 0) {
-    const m_rts = approxSunRiseSet(m0, h0);
-
-    let nu_rts = new Array(m_rts.length);
-    let alpha_prime = new Array(m_rts.length);
-    let delta_prime = new Array(m_rts.length);
-    let h_prime = new Array(m_rts.length);
-    let h_rts = new Array(m_rts.length);
-
-    m_rts.forEach((val, i) => {
-      nu_rts[i] = nu + 360.985647 * val;
-
-      const n = val + spa.delta_t / 86400;
-
-      alpha_prime[i] = rts_alpha_delta_prime(alpha, n);
-      delta_prime[i] = rts_alpha_delta_prime(delta, n);
-
-      h_prime[i] = limit_degrees180pm(
-        nu_rts[i] + spa.longitude - alpha_prime[i]
-      );
-      h_rts[i] = rts_sun_altitude(spa.latitude, delta_prime[i], h_prime[i]);
-    });
-
-    srha = h_prime[1];
-    ssha = h_prime[2];
-    sta = h_prime[0];
-
-    sunTransit = dateFromDayFrac(m_rts[0] - sta / 360, spa.date);
-    sunRise = dateFromDayFrac(
-      sun_rise_and_set(
-        m_rts,
-        h_rts,
-        delta_prime,
-        spa.latitude,
-        h_prime,
-        h0_prime,
-        1
-      ),
-      spa.date
-    );
-    sunSet = dateFromDayFrac(
-      sun_rise_and_set(
-        m_rts,
-        h_rts,
-        delta_prime,
-        spa.latitude,
-        h_prime,
-        h0_prime,
-        2
-      ),
-      spa.date
-    );
-    console.log("transit", sunTransit.toString());
-    console.log("sunrise", sunRise.toString());
-    console.log("sunset", sunSet.toString());
-  } else {
-    srha = -99999;
-    ssha = -99999;
-    sta = -99999;
-    sunTransit = -99999;
-    sunRise = -99999;
-    sunSet = -99999;
-  }
-  return {
-    srha: srha,
-    ssha: ssha,
-    sta: sta,
-    sunTransit: sunTransit,
-    sunRise: sunRise,
-    sunSet: sunSet
-  };
-}
-
+/**
+ * Convert a fraction of a UT day into a time in the zone of `date`
+ * @param {number} dayfrac Fraction of the UT day with the same calendar date
+ * as `date`; may be below 0 or above 1 for times on the days either side
+ * @param {DateTime} date Any time on the local day in question
+ * @returns {DateTime} Time in the zone of `date`
+ */
 function dateFromDayFrac(dayfrac, date) {
-  const newDate = DateTime.utc(date.year, date.month, date.day);
-  newDate.setZone(date.zone);
-  return newDate.plus({ seconds: dayfrac * 86400 }).setZone(date.zone);
+  // straight from milliseconds: luxon's date arithmetic is slow enough to
+  // dominate a year of rise/set times
+  return DateTime.fromMillis(
+    startOfDay(date).toMillis() + Math.round(dayfrac * 86400000),
+    { zone: date.zone }
+  );
 }
 
 export function SPA(
@@ -890,148 +762,287 @@ export function SPA(
   temp,
   pressure,
   delta_t = null,
-  delta_ut1 = null
+  delta_ut1 = null,
+  algorithm = "spa",
+  horizonHeight = 0
 ) {
   this.date = date;
   this.latitude = latitude;
   this.longitude = longitude;
   this.latlng = [this.latitude, this.longitude];
   this.elevation = elevation;
+  // eye height above the surrounding ground, for the horizon dip; elevation
+  // is above sea level and only goes into parallax and the atmosphere
+  this.horizonHeight = horizonHeight;
   this.temp = temp;
   this.pressure = pressure;
+  this.algorithm = algorithm;
+
+  // a ∆T passed in is taken as exact
+  const estimate =
+    delta_t === null
+      ? deltaTEstimate(date)
+      : { deltaT: delta_t, uncertainty: 0, source: "given" };
+  this.delta_t = estimate.deltaT;
+  this.delta_t_uncertainty = estimate.uncertainty;
+  this.delta_t_source = estimate.source;
+  // without IERS values loaded, UT1 is taken as UTC
+  this.delta_ut1 = delta_ut1 === null ? dut1(date) || 0 : delta_ut1;
+
+  // time-only terms are shared with every other calculation at this instant;
+  // the observer's terms, rise/set times and light windows are worked out
+  // from them when first read (see `lazyFields`)
+  Object.assign(
+    this,
+    sunTimeTerms(this.date, this.delta_t, this.delta_ut1, this.algorithm)
+  );
+}
 
-  this.jd = julianDay(this.date, this.delta_ut1);
-  this.jc = julianCentury(this.jd);
-
-  this.delta_t = delta_t === null ? deltaT(date) : delta_t;
-  this.delta_ut1 = delta_ut1 === null ? 0 : delta_ut1; // TODO: lookup values?
-  this.jde = julianEphemerisDay(this.jd, this.delta_t);
-  this.jce = julianEphemerisCentury(this.jde);
-  this.jme = julianEphemerisMillennium(this.jce);
+/**
+ * Set a field on an SPA as its own, hiding the lazy one on the prototype
+ * @param {SPA} spa
+ * @param {string} name
+ * @param {*} value
+ */
+function ownField(spa, name, value) {
+  Object.defineProperty(spa, name, {
+    value: value,
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+}
 
-  this.l = heliocentricLongitude(this.jme);
-  this.b = heliocentricLatitude(this.jme);
-  this.r = earthRadiusVector(this.jme);
+/**
+ * Groups of SPA fields worked out together, see `lazyFields`
+ * @type {string[][]}
+ */
+const LAZY_GROUPS = [];
 
-  this.theta = geocentricLongitude(this.l);
-  this.beta = geocentricLatitude(this.b);
+/**
+ * Define SPA fields that are only worked out when one of them is first read,
+ * and are then kept on the instance
+ * @param {string[]} names Fields given by one calculation
+ * @param {function(SPA): Object} calculate Works out all of the fields
+ */
+function lazyFields(names, calculate) {
+  LAZY_GROUPS.push(names);
+  names.forEach(name => {
+    Object.defineProperty(SPA.prototype, name, {
+      configurable: true,
+      get() {
+        const values = calculate(this);
+        names.forEach(key => ownField(this, key, values[key]));
+        return values[name];
+      },
+      // fields copied in (see `SPA.fromFields`) take the calculation's place
+      set(value) {
+        ownField(this, name, value);
+      }
+    });
+  });
+}
 
-  this.x_factors = xFactors(this.jce);
+/**
+ * Sun azimuth for the observer of an SPA at a rise/set or twilight time
+ * @param {SPA} spa
+ * @param {?DateTime} time
+ * @returns {?Degrees} Null if there is no such time
+ */
+function eventAzimuth(spa, time) {
+  return time
+    ? azimuth(time, spa.elevation, spa.latitude, spa.longitude, spa.algorithm)
+    : null;
+}
 
-  this.del_psi = nutationLongitude(this.jce, this.x_factors);
-  this.del_epsilon = nutationObliquity(this.jce, this.x_factors);
-  this.epsilon = trueEclipticObliquity(this.jme, this.jce);
+lazyFields(
+  [
+    "h",
+    "delta_prime",
+    "alpha_prime",
+    "h_prime",
+    "e0",
+    "del_e",
+    "e",
+    "zenith",
+    "azimuth_astro",
+    "azimuth"
+  ],
+  spa =>
+    sunObserverTerms(
+      spa,
+      spa.latitude,
+      spa.longitude,
+      spa.elevation,
+      spa.temp,
+      spa.pressure
+    )
+);
+
+// rise/set times and azimuths are null during polar day or night, in which
+// case `polar` says which one it is; twilight has the dawn and dusk of each
+// kind, with azimuth (null if the sun does not reach that depth today)
+lazyFields(
+  [
+    "sunRise",
+    "sunSet",
+    "sunTransit",
+    "polar",
+    "sunriseAzimuth",
+    "sunsetAzimuth",
+    "twilight"
+  ],
+  spa => {
+    const { sunRise, sunSet, sunTransit, polar, twilight } = sunriseSunset(
+      spa.date,
+      spa.latitude,
+      spa.longitude,
+      spa.horizonHeight,
+      spa.algorithm
+    );
+    let withAzimuths = {};
+    Object.keys(twilight).forEach(name => {
+      const { dawn, dusk } = twilight[name];
+      withAzimuths[name] = {
+        dawn: dawn,
+        dusk: dusk,
+        dawnAzimuth: eventAzimuth(spa, dawn),
+        duskAzimuth: eventAzimuth(spa, dusk)
+      };
+    });
+    return {
+      sunRise: sunRise,
+      sunSet: sunSet,
+      sunTransit: sunTransit,
+      polar: polar,
+      sunriseAzimuth: eventAzimuth(spa, sunRise),
+      sunsetAzimuth: eventAzimuth(spa, sunSet),
+      twilight: withAzimuths
+    };
+  }
+);
 
-  this.del_tau = aberrationCorrection(this.r);
-  this.lambda = apparentSunLongitude(this.theta, this.del_psi, this.del_tau);
-  this.nu = greenwichApparentSiderealTime(
-    this.jd,
-    this.jc,
-    this.jde,
-    this.del_psi,
-    this.epsilon
+// golden and blue hour windows, with the azimuths the sun sweeps through
+lazyFields(["lightWindows"], spa => {
+  const windows = lightWindows(
+    spa.date,
+    spa.latitude,
+    spa.longitude,
+    spa.algorithm
   );
+  let withAzimuths = {};
+  Object.keys(windows).forEach(name => {
+    withAzimuths[name] = {};
+    ["morning", "evening"].forEach(part => {
+      const span = windows[name][part];
+      withAzimuths[name][part] = span && {
+        start: span.start,
+        end: span.end,
+        startAzimuth: eventAzimuth(spa, span.start),
+        endAzimuth: eventAzimuth(spa, span.end)
+      };
+    });
+  });
+  return { lightWindows: withAzimuths };
+});
 
-  this.alpha = geocentricRightAscension(this.lambda, this.epsilon, this.beta);
-  this.delta = geocentricDeclination(this.lambda, this.epsilon, this.beta);
-
-  this.h = observerLocalHourAngle(this.nu, this.longitude, this.alpha);
-  const topocentric = topocentricSunPosition(
-    this.latitude,
-    this.elevation,
-    this.r,
-    this.h,
-    this.delta,
-    this.alpha
-  );
-  this.delta_prime = topocentric.declination;
-  this.alpha_prime = topocentric.rightAscension;
-  this.h_prime = topocentric.localHourAngle;
+/**
+ * Work out every lazy field now, e.g. before the SPA is posted from the
+ * compute worker, which only sends an object's own fields
+ * @returns {SPA} This SPA
+ */
+SPA.prototype.complete = function() {
+  // reading any field of a group works out the whole group
+  LAZY_GROUPS.forEach(names => this[names[0]]);
+  return this;
+};
 
-  const zenith = topocentricZenith(
-    this.latitude,
-    this.h_prime,
-    this.delta_prime,
-    this.pressure,
-    this.temp
-  );
-  this.e0 = zenith.uncorrectedElevation;
-  this.del_e = atmosphericRefractionCorrection(
-    this.e0,
-    this.pressure,
-    this.temp
+/**
+ * Rebuild an SPA from the fields of one worked out elsewhere, such as in the
+ * compute worker, where only its data survives being posted back
+ * @param {Object} fields Own fields of an SPA
+ * @returns {SPA}
+ */
+SPA.fromFields = fields => Object.assign(Object.create(SPA.prototype), fields);
+
+// incidence angle on a surface with the given slope and azimuth rotation
+// (see `surfaceIncidenceAngle`)
+SPA.prototype.incidence = function(slope, azmRotation) {
+  return surfaceIncidenceAngle(
+    this.zenith,
+    this.azimuth_astro,
+    slope,
+    azmRotation
   );
-  this.e = zenith.elevationAngle;
+};
 
-  this.eot = equationOfTime(this.jme, this.alpha, this.del_psi, this.epsilon);
-
-  this.zenith = zenith.zenithAngle;
-  const azi = topocentricAzimuthAngle(
-    this.latitude,
-    this.h_prime,
-    this.delta_prime
+SPA.prototype.sunrisePoint = function(radius) {
+  if (this.polar) {
+    return null;
+  }
+  return latLngFromAzimuth(
+    [this.latitude, this.longitude],
+    radius,
+    this.sunriseAzimuth,
+    0
   );
-  this.azimuth_astro = azi.astronomers;
-  this.azimuth = azi.navigators;
+};
 
-  const { sunRise, sunSet } = sunriseSunset(
-    this.date,
-    this.latitude,
-    this.longitude
-  );
-  this.sunsetAzimuth = azimuth(
-    sunSet,
-    this.elevation,
-    this.latitude,
-    this.longitude
-  );
-  this.sunriseAzimuth = azimuth(
-    sunRise,
-    this.elevation,
-    this.latitude,
-    this.longitude
+SPA.prototype.sunsetPoint = function(radius) {
+  if (this.polar) {
+    return null;
+  }
+  return latLngFromAzimuth(
+    [this.latitude, this.longitude],
+    radius,
+    this.sunsetAzimuth,
+    0
   );
-
-  this.sunrisePoint = radius => {
-    return latLngFromAzimuth(
-      [this.latitude, this.longitude],
-      radius,
-      this.sunriseAzimuth,
-      0
-    );
-  };
-  this.sunsetPoint = radius => {
-    return latLngFromAzimuth(
-      [this.latitude, this.longitude],
-      radius,
-      this.sunsetAzimuth,
-      0
-    );
+};
+
+SPA.prototype.sunrise = function(radius) {
+  return this.polar
+    ? null
+    : {
+        pt: this.sunrisePoint(radius),
+        angle: this.sunriseAzimuth
+      };
+};
+
+SPA.prototype.sunset = function(radius) {
+  return this.polar
+    ? null
+    : {
+        pt: this.sunsetPoint(radius),
+        angle: this.sunsetAzimuth
+      };
+};
+
+SPA.prototype.sun = function(radius) {
+  return {
+    pt: latLngFromAzimuth(this.latlng, radius, this.azimuth, 0),
+    angle: this.azimuth,
+    elevation: this.e
   };
-
-  this.sunrise = radius => ({
-    pt: this.sunrisePoint(radius),
-    angle: this.sunriseAzimuth
-  });
-
-  this.sunset = radius => ({
-    pt: this.sunsetPoint(radius),
-    angle: this.sunsetAzimuth
+};
+
+SPA.prototype.twilightRays = function(radius) {
+  const ray = angle =>
+    angle === null
+      ? null
+      : {
+          pt: latLngFromAzimuth(this.latlng, radius, angle, 0),
+          angle: angle
+        };
+  let rays = {};
+  Object.keys(this.twilight).forEach(name => {
+    rays[name] = {
+      dawn: ray(this.twilight[name].dawnAzimuth),
+      dusk: ray(this.twilight[name].duskAzimuth)
+    };
   });
-
-  this.add_days = days => {
-    return new SPA(
-      this.date.plus({ days: days }),
-      this.latitude,
-      this.longitude,
-      this.elevation,
-      this.temp,
-      this.pressure,
-      this.delta_t,
-      this.delta_ut1
-    );
-  };
-}
+  return rays;
+};
 
 /**
  * Calculate the local radius (distance from earth's center) for a given latitude and elevation
@@ -1040,7 +1051,7 @@ export function SPA(
  * @param {Meters} elev Elevation at observer location
  * @returns {Meters} Distance to earth's center
  */
-function geocentricRadius(lat, elev = 0) {
+export function geocentricRadius(lat, elev = 0) {
   const lat_rad = deg2rad(lat);
   const R = Math.sqrt(
     ((data.RADIUS_A ** 2 * Math.cos(lat_rad)) ** 2 +
@@ -1051,6 +1062,34 @@ function geocentricRadius(lat, elev = 0) {
   return R + elev;
 }
 
+/**
+ * Calculate the geometric dip of the horizon for an observer above it
+ * @param {Meters} height Observer eye height above the horizon
+ * @param {Degrees} [lat=0] Observer latitude
+ * @returns {Degrees} Angle of the horizon below the horizontal
+ */
+export function horizonDip(height, lat = 0) {
+  if (height <= 0) {
+    return 0;
+  }
+  const R = geocentricRadius(lat);
+  return rad2deg(Math.acos(R / (R + height)));
+}
+
+/**
+ * Calculate the straight-line distance to the horizon for an observer above it
+ * @param {Meters} height Observer eye height above the horizon
+ * @param {Degrees} [lat=0] Observer latitude
+ * @returns {Meters} Distance to the horizon
+ */
+export function horizonDistance(height, lat = 0) {
+  if (height <= 0) {
+    return 0;
+  }
+  const R = geocentricRadius(lat);
+  return Math.sqrt(2 * R * height + height ** 2);
+}
+
 export function latLngFromAzimuth(latlng1, dist, azimuth, elev = 0) {
   const R = geocentricRadius(latlng1[0], elev);
   const lat_rad = deg2rad(latlng1[0]);
@@ -1074,109 +1113,167 @@ export function latLngFromAzimuth(latlng1, dist, azimuth, elev = 0) {
   };
 }
 
-function testCase() {
-  // Test cases
-  const testDate = DateTime.utc(2003, 10, 17, 19, 30, 30);
-  const localLong = -105.1786;
-  const localLat = 39.742476;
-  const localElev = 1830.14;
-  const localPressure = 820.0;
-  const localTemp = 11.0;
-  const delta_t = 67;
-  const delta_ut1 = 0;
-
-  const spaTest = new SPA(
-    testDate,
-    localLat,
-    localLong,
-    localElev,
-    localTemp,
-    localPressure,
-    delta_t,
-    delta_ut1
-  );
-  console.log("Julian Day: ", spaTest.jd);
-  console.log("Julian Century", spaTest.jc);
-  console.log("Julian Ephemeris Century", spaTest.jce);
-  console.log("Julian Ephemeris Millennium", spaTest.jme);
-
-  console.log("heliocentric longitude of earth (L)", spaTest.l);
-  console.log("heliocentric latitude of earth (B)", spaTest.b);
-  console.log("earth radius vector (R)", spaTest.r);
-
-  console.log("geocentric longitude (Theta): ", spaTest.theta);
-  console.log("geocentric latitude (beta): ", spaTest.beta);
-
-  console.log(
-    "nutation [dPsi, dEpsilon]: ",
-    spaTest.del_psi,
-    spaTest.del_epsilon
+/**
+ * Find the initial bearing and distance from one point to another; the
+ * inverse of `latLngFromAzimuth`
+ * https://www.movable-type.co.uk/scripts/latlong.html
+ * @param {number[]} latlng1 Starting [lat, lng]
+ * @param {number[]} latlng2 Destination [lat, lng]
+ * @param {Meters} [elev=0] Elevation of the starting point
+ * @returns {{azimuth: Degrees, distance: Meters}} Bearing clockwise from north
+ * and great-circle distance
+ */
+export function azimuthFromLatLng(latlng1, latlng2, elev = 0) {
+  const R = geocentricRadius(latlng1[0], elev);
+  const lat1_rad = deg2rad(latlng1[0]);
+  const lat2_rad = deg2rad(latlng2[0]);
+  const dLng_rad = deg2rad(latlng2[1] - latlng1[1]);
+
+  const azi_rad = Math.atan2(
+    Math.sin(dLng_rad) * Math.cos(lat2_rad),
+    Math.cos(lat1_rad) * Math.sin(lat2_rad) -
+      Math.sin(lat1_rad) * Math.cos(lat2_rad) * Math.cos(dLng_rad)
   );
 
-  console.log("true obliquity of ecliptic (epsilon): ", spaTest.epsilon);
-
-  console.log("Apparent Sun Longitude (lambda): ", spaTest.lambda);
+  // haversine distance
+  const a =
+    Math.sin((lat2_rad - lat1_rad) / 2) ** 2 +
+    Math.cos(lat1_rad) * Math.cos(lat2_rad) * Math.sin(dLng_rad / 2) ** 2;
+  const distance = 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 
-  console.log("Geocentric sun right ascension (alpha) ", spaTest.alpha);
+  return { azimuth: limit_degrees(rad2deg(azi_rad)), distance: distance };
+}
 
-  console.log("geocentric sun declination (delta) ", spaTest.delta);
+/**
+ * Gather the values needed by the rise/set/transit interpolation for the day
+ * containing `date` (https://www.nrel.gov/docs/fy08osti/34302.pdf Steps A.2.1-A.2.3)
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lng Observer longitude
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{nu: Degrees, alpha: Degrees[], delta: Degrees[], m0: number, delta_t: number, dayStart: number}}
+ */
+function rtsParameters(date, lng, algorithm = "spa") {
+  const midnightUT = startOfDay(date);
+  // the sun at 0h UT on the day before, the day itself and the day after;
+  // consecutive days share two of these through `sunEphemeris`
+  const days = [-1, 0, 1].map(i =>
+    sunTimeTerms(midnightUT.plus({ days: i }), null, null, algorithm)
+  );
+  const nu = days[1].nu;
 
-  console.log("observer local hour angle (H) ", spaTest.h);
+  const alpha_vals = days.map(day => day.alpha);
+  const delta_vals = days.map(day => day.delta);
 
-  console.log(
-    "topocentric right ascension (alpha-prime): ",
-    spaTest.alpha_prime
-  );
-  console.log("topocentric declination (delta-prime): ", spaTest.delta_prime);
-  console.log("topocentric local hour angle (H-prime): ", spaTest.h_prime);
-
-  console.log("topocentric zenith: ", spaTest.zenith);
-  console.log("topocentric elevation: ", spaTest.e);
-  console.log("topocentric azimuth", spaTest.azimuth);
-  console.log("Equation of time (minutes): ", spaTest.eot);
-
-  sunRiseSetTransit(spaTest);
-  sunRiseSetTransit(
-    new SPA(
-      DateTime.local(2019, 9, 28, 18, 7),
-      37.739024,
-      -122.189905,
-      20,
-      30,
-      1000
-    )
-  );
+  return {
+    nu: nu,
+    alpha: alpha_vals,
+    delta: delta_vals,
+    m0: approxSunTransitTime(alpha_vals[1], lng, nu),
+    delta_t: deltaT(date),
+    // local midnight as a fraction of the UT day
+    dayStart: -date.offset / 1440
+  };
 }
 
-export function sunriseSunset(date, lat, lng) {
-  // find sun elevation at sunrise and sunset
-  const h0_prime = -1 * (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET);
-
-  const midnightUT = startOfDay(date);
+/**
+ * Find the time of the sun's transit on the day of `date`
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Equation A16
+ * @param {Object} rts Values from `rtsParameters` for this day and observer
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lng Observer longitude
+ * @returns {DateTime} Sun transit time
+ */
+function sunTransitTime(rts, date, lng) {
+  const m = limit_degrees(rts.m0 - rts.dayStart, 1) + rts.dayStart;
+  const nu_t = rts.nu + 360.985647 * m;
+  const alpha_t = rts_alpha_delta_prime(rts.alpha, m + rts.delta_t / 86400);
+  const h_t = limit_degrees180pm(nu_t + lng - alpha_t);
+  return dateFromDayFrac(m - h_t / 360, date);
+}
 
-  const { jd, jc, jde, jce, jme } = julian(midnightUT);
+/**
+ * Approximate highest and lowest geometric sun elevation over a day
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} delta Geocentric sun declination for the day
+ * @returns {{max: Degrees, min: Degrees}} Elevation at upper and lower transit
+ */
+function dayElevationRange(lat, delta) {
+  return {
+    max: 90 - Math.abs(lat - delta),
+    min: Math.abs(lat + delta) - 90
+  };
+}
 
-  const nu = gAST(jd, jc, jde, jce, jme);
+/**
+ * Tell whether the sun stays above or below `h0_prime` all day
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} delta Geocentric sun declination for the day
+ * @param {Degrees} h0_prime Sun elevation at sunrise/sunset
+ * @returns {string} "day" if the sun never sets, "night" if it never rises
+ */
+function polarState(lat, delta, h0_prime) {
+  return dayElevationRange(lat, delta).min > h0_prime ? "day" : "night";
+}
 
-  const days = [date.minus({ days: 1 }), date, date.plus({ days: 1 })];
+/**
+ * Describe a day on which the sun stays above or below `h0_prime`
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} delta Geocentric sun declination for the day
+ * @param {Degrees} h0_prime Sun elevation at sunrise/sunset
+ * @param {DateTime} transit Time of the sun's transit
+ * @param {?DateTime} nextRiseSet First following day with a sunrise and sunset
+ * @returns {PolarDay}
+ */
+function polarDay(lat, delta, h0_prime, transit, nextRiseSet) {
+  const range = dayElevationRange(lat, delta);
+  return {
+    state: polarState(lat, delta, h0_prime),
+    transit: transit,
+    maxElevation: range.max,
+    minElevation: range.min,
+    nextRiseSet: nextRiseSet
+  };
+}
 
-  let alpha_vals = new Array(3);
-  let delta_vals = new Array(3);
-  days.forEach((day, idx) => {
-    const { alpha, delta } = geoRA_D(day);
-    alpha_vals[idx] = alpha;
-    delta_vals[idx] = delta;
-  });
+/**
+ * Find the first day after `date` on which the sun rises and sets
+ * @param {DateTime} date Day the search starts from
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} h0_prime Sun elevation at sunrise/sunset
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {?DateTime} Start of that day, null if there is none within a year
+ */
+function nextRiseSetDate(date, lat, h0_prime, algorithm = "spa") {
+  let day = date.startOf("day");
+  for (let i = 1; i <= 366; i++) {
+    day = day.plus({ days: 1 });
+    const { delta } = geoRA_D(day, algorithm);
+    if (sunHourAngleAtRiseSet(lat, delta, h0_prime) >= 0) {
+      return day;
+    }
+  }
+  return null;
+}
 
-  const m0 = approxSunTransitTime(alpha_vals[1], lng, nu);
-  const h0 = sunHourAngleAtRiseSet(lat, delta_vals[1], h0_prime);
+/**
+ * Find the times the sun's center crosses a given elevation on the day of `date`
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Appendix A.2
+ * @param {Object} rts Values from `rtsParameters` for this day and observer
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Degrees} h0_prime Sun elevation at the crossing
+ * @returns {{rise: ?DateTime, set: ?DateTime}} Crossing times, null if the sun
+ * never crosses `h0_prime` that day
+ */
+function riseSetAtAltitude(rts, date, lat, lng, h0_prime) {
+  const h0 = sunHourAngleAtRiseSet(lat, rts.delta[1], h0_prime);
 
   if (h0 < 0) {
-    return { sunRise: null, sunSet: null };
+    return { rise: null, set: null };
   }
 
-  const m_rts = approxSunRiseSet(m0, h0);
-  let sta, sunRise, sunSet, sunTransit;
+  const m_rts = approxSunRiseSet(rts.m0, h0, rts.dayStart);
   let nu_rts = new Array(m_rts.length);
   let alpha_prime = new Array(m_rts.length);
   let delta_prime = new Array(m_rts.length);
@@ -1184,77 +1281,390 @@ export function sunriseSunset(date, lat, lng) {
   let h_rts = new Array(m_rts.length);
 
   m_rts.forEach((val, i) => {
-    nu_rts[i] = nu + 360.985647 * val;
+    nu_rts[i] = rts.nu + 360.985647 * val;
 
-    const n = val + deltaT(date) / 86400;
+    const n = val + rts.delta_t / 86400;
 
-    alpha_prime[i] = rts_alpha_delta_prime(alpha_vals, n);
-    delta_prime[i] = rts_alpha_delta_prime(delta_vals, n);
+    alpha_prime[i] = rts_alpha_delta_prime(rts.alpha, n);
+    delta_prime[i] = rts_alpha_delta_prime(rts.delta, n);
 
     h_prime[i] = limit_degrees180pm(nu_rts[i] + lng - alpha_prime[i]);
     h_rts[i] = rts_sun_altitude(lat, delta_prime[i], h_prime[i]);
   });
 
-  sta = h_prime[0];
-
-  sunTransit = dateFromDayFrac(m_rts[0] - sta / 360, date);
-  sunRise = dateFromDayFrac(
+  const transit = sunTransitTime(rts, date, lng);
+  let rise = dateFromDayFrac(
     sun_rise_and_set(m_rts, h_rts, delta_prime, lat, h_prime, h0_prime, 1),
     date
   );
-  sunSet = dateFromDayFrac(
+  let set = dateFromDayFrac(
     sun_rise_and_set(m_rts, h_rts, delta_prime, lat, h_prime, h0_prime, 2),
     date
   );
-  console.log("**sunrise", sunRise.toString());
-  console.log("**sunset", sunSet.toString());
-  return { sunRise: sunRise, sunSet: sunSet };
+
+  // near the poles a shallow crossing can fall past local midnight; keep the
+  // rise before and the set after this day's transit
+  if (rise > transit) {
+    rise = rise.minus({ days: 1 });
+  }
+  if (set < transit) {
+    set = set.plus({ days: 1 });
+  }
+  return { rise: rise, set: set };
 }
 
-function geoRA_D(date) {
-  const { jce, jme } = julian(date);
+/**
+ * Find the times the sun's center crosses a given elevation on the day of `date`
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Degrees} h0_prime Geometric sun elevation at the crossing
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{rise: ?DateTime, set: ?DateTime}} Crossing times, null if the sun
+ * never crosses `h0_prime` that day
+ */
+export function sunCrossings(date, lat, lng, h0_prime, algorithm = "spa") {
+  const rts = rtsParameters(date, lng, algorithm);
+  return riseSetAtAltitude(rts, date, lat, lng, h0_prime);
+}
 
-  const l = heliocentricLongitude(jme);
-  const b = heliocentricLatitude(jme);
-  const r = earthRadiusVector(jme);
+/**
+ * Step (minutes) used to scan a day for the sun crossing a horizon profile
+ * @type {number}
+ */
+const MASK_SCAN_STEP = 5;
 
-  const theta = geocentricLongitude(l);
-  const beta = geocentricLatitude(b);
+/**
+ * Find when the sun's upper limb first clears and finally drops behind a
+ * horizon profile (hills, buildings) on the day of `date`, instead of the
+ * sea-level horizon
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} elevation Observer elevation
+ * @param {Celsius} temp Temperature at the observer
+ * @param {Millibar} pressure Pressure at the observer
+ * @param {HorizonProfile} profile Horizon altitude by azimuth
+ * @returns {{rise: ?DateTime, set: ?DateTime, riseAzimuth: ?Degrees, setAzimuth: ?Degrees}}
+ * Times and azimuths, null where the sun doesn't clear the profile
+ */
+export function maskedRiseSet(
+  date,
+  lat,
+  lng,
+  elevation,
+  temp,
+  pressure,
+  profile
+) {
+  const transit = sunTransitTime(rtsParameters(date, lng), date, lng);
+
+  // height of the sun's upper limb above the profile at a given time
+  const clearance = time => {
+    const pos = sunPosition(time, elevation, lat, lng, temp, pressure);
+    return {
+      time: time,
+      azimuth: pos.azimuth,
+      value: pos.elevation + data.SUN_RADIUS - profile.altitudeAt(pos.azimuth)
+    };
+  };
 
-  const x_factors = xFactors(jce);
+  // narrow a sign change between two samples down to about a second
+  const bisect = (a, b) => {
+    while (b.time.diff(a.time).milliseconds > 1000) {
+      const mid = clearance(
+        a.time.plus({ milliseconds: b.time.diff(a.time).milliseconds / 2 })
+      );
+      if (Math.sign(mid.value) === Math.sign(a.value)) {
+        a = mid;
+      } else {
+        b = mid;
+      }
+    }
+    return b;
+  };
 
-  const del_psi = nutationLongitude(jce, x_factors);
-  const epsilon = trueEclipticObliquity(jme, jce);
+  // scan half a day either side of transit
+  const steps = (12 * 60) / MASK_SCAN_STEP;
+  const samples = [...Array(2 * steps + 1).keys()].map(i =>
+    clearance(transit.plus({ minutes: (i - steps) * MASK_SCAN_STEP }))
+  );
 
-  const del_tau = aberrationCorrection(r);
-  const lambda = apparentSunLongitude(theta, del_psi, del_tau);
+  let rise = null;
+  let set = null;
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1];
+    const cur = samples[i];
+    if (prev.value < 0 && cur.value >= 0 && !rise && i <= steps) {
+      // first appearance before transit
+      rise = bisect(prev, cur);
+    } else if (prev.value >= 0 && cur.value < 0 && i > steps) {
+      // keep the last disappearance after transit
+      set = bisect(prev, cur);
+    }
+  }
 
-  const alpha = geocentricRightAscension(lambda, epsilon, beta);
-  const delta = geocentricDeclination(lambda, epsilon, beta);
-  return { alpha, delta };
+  return {
+    rise: rise && rise.time,
+    set: set && set.time,
+    riseAzimuth: rise && rise.azimuth,
+    setAzimuth: set && set.azimuth
+  };
 }
 
-function gAST(jd, jc, jde, jce, jme) {
-  const x_factors = xFactors(jce);
+/**
+ * Describe a day without sunrise or sunset
+ * @typedef {Object} PolarDay
+ * @property {string} state "day" if the sun is always up, "night" if always down
+ * @property {DateTime} transit Time of the sun's transit
+ * @property {Degrees} maxElevation Sun elevation at transit
+ * @property {Degrees} minElevation Sun elevation at lower transit
+ * @property {?DateTime} nextRiseSet First following day with a sunrise and sunset
+ */
 
-  const del_psi = nutationLongitude(jce, x_factors);
-  const epsilon = trueEclipticObliquity(jme, jce);
-  return greenwichApparentSiderealTime(jd, jc, jde, del_psi, epsilon);
+/**
+ * Calculate sunrise, sunset and the dawn/dusk times of each kind of twilight
+ * (see `data.TWILIGHT`) for the day of `date`
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} [height=0] Observer eye height above the ground around them,
+ * which sets how far the horizon dips
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{sunRise: ?DateTime, sunSet: ?DateTime, sunTransit: DateTime, polar: ?PolarDay, twilight: Object<string, {dawn: ?DateTime, dusk: ?DateTime}>}}
+ * `polar` is null unless the sun stays up or down all day, in which case
+ * `sunRise` and `sunSet` are null
+ */
+export function sunriseSunset(date, lat, lng, height = 0, algorithm = "spa") {
+  // find sun elevation at sunrise and sunset; a raised observer sees the sun
+  // until it drops below the dipped horizon
+  const h0_prime =
+    -1 *
+    (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET + horizonDip(height, lat));
+
+  const rts = rtsParameters(date, lng, algorithm);
+
+  const { rise, set } = riseSetAtAltitude(rts, date, lat, lng, h0_prime);
+  const transit = sunTransitTime(rts, date, lng);
+
+  const polar = rise
+    ? null
+    : polarDay(
+        lat,
+        rts.delta[1],
+        h0_prime,
+        transit,
+        nextRiseSetDate(date, lat, h0_prime, algorithm)
+      );
+
+  let twilight = {};
+  Object.keys(data.TWILIGHT).forEach(name => {
+    const times = riseSetAtAltitude(rts, date, lat, lng, data.TWILIGHT[name]);
+    twilight[name] = { dawn: times.rise, dusk: times.set };
+  });
+
+  return {
+    sunRise: rise,
+    sunSet: set,
+    sunTransit: transit,
+    polar: polar,
+    twilight: twilight
+  };
 }
 
-function julian(date) {
-  const jd = julianDay(date, 0);
-  const jc = julianCentury(jd);
-  const delta_t = deltaT(date);
-  const jde = julianEphemerisDay(jd, delta_t);
-  const jce = julianEphemerisCentury(jde);
-  const jme = julianEphemerisMillennium(jce);
+/**
+ * Sunrise, sunset, transit and twilight for one day of `sunYear`
+ * @typedef {Object} SunDay
+ * @property {DateTime} date Start of the local day
+ * @property {?DateTime} sunRise
+ * @property {?DateTime} sunSet
+ * @property {DateTime} sunTransit
+ * @property {?PolarDay} polar Set when the sun doesn't rise or set
+ * @property {Degrees} maxElevation Sun elevation at transit
+ * @property {Degrees} minElevation Sun elevation at lower transit
+ * @property {Minutes} dayLength Time between sunrise and sunset, or 0/1440
+ * during polar night/day
+ * @property {Object<string, {dawn: ?DateTime, dusk: ?DateTime}>} twilight
+ * Dawn and dusk of each kind of twilight
+ */
 
-  return { jd, jc, jde, jce, jme };
+/**
+ * Calculate sunrise, sunset, transit, twilight and day length for every
+ * local day of a year. Consecutive days share the sun positions at 0h UT
+ * they both need, so this costs about one position per day instead of
+ * several `sunriseSunset` calls.
+ * @param {number} year Year in question
+ * @param {string} zone Observer's IANA time zone
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} [height=0] Observer eye height above the ground around them,
+ * which sets how far the horizon dips
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @param {?number} [month=null] Only work out this month (1-12), so a long
+ * sweep can be split up
+ * @returns {SunDay[]} One entry per day, in date order
+ */
+export function sunYear(
+  year,
+  zone,
+  lat,
+  lng,
+  height = 0,
+  algorithm = "spa",
+  month = null
+) {
+  const h0_prime =
+    -1 *
+    (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET + horizonDip(height, lat));
+
+  let days = [];
+  let day = DateTime.fromObject({
+    year: year,
+    month: month || 1,
+    day: 1,
+    zone: zone
+  });
+  while (day.year === year && (!month || day.month === month)) {
+    const rts = rtsParameters(day, lng, algorithm);
+    const { rise, set } = riseSetAtAltitude(rts, day, lat, lng, h0_prime);
+    const transit = sunTransitTime(rts, day, lng);
+    // the next sunrise is filled in below, from the days that follow
+    const polar = rise
+      ? null
+      : polarDay(lat, rts.delta[1], h0_prime, transit, null);
+    const range = dayElevationRange(lat, rts.delta[1]);
+
+    let twilight = {};
+    Object.keys(data.TWILIGHT).forEach(name => {
+      const times = riseSetAtAltitude(rts, day, lat, lng, data.TWILIGHT[name]);
+      twilight[name] = { dawn: times.rise, dusk: times.set };
+    });
+
+    days.push({
+      date: day,
+      sunRise: rise,
+      sunSet: set,
+      sunTransit: transit,
+      polar: polar,
+      maxElevation: range.max,
+      minElevation: range.min,
+      dayLength: rise
+        ? set.diff(rise, "minutes").minutes
+        : polar.state === "day"
+        ? 1440
+        : 0,
+      twilight: twilight
+    });
+
+    day = day.plus({ days: 1 });
+  }
+
+  // only a polar spell running past the end needs a search of its own
+  const last = days[days.length - 1];
+  let next =
+    last && last.polar
+      ? nextRiseSetDate(last.date, lat, h0_prime, algorithm)
+      : null;
+  for (let i = days.length - 1; i >= 0; i--) {
+    if (days[i].polar) {
+      days[i].polar.nextRiseSet = next;
+    } else {
+      next = days[i].date;
+    }
+  }
+  return days;
+}
+
+/**
+ * Calculate the morning and evening golden hour and blue hour windows (see
+ * `data.LIGHT_WINDOWS`) for the day of `date`. Where the sun doesn't reach a
+ * window's upper bound the window runs to transit, and where it stays above
+ * the lower bound the window starts (or ends) at the lower transit.
+ * @param {DateTime} date Day in question
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {Object<string, {morning: ?{start: DateTime, end: DateTime}, evening: ?{start: DateTime, end: DateTime}}>}
+ * Windows keyed by name, null where the sun never passes through the window
+ */
+export function lightWindows(date, lat, lng, algorithm = "spa") {
+  const rts = rtsParameters(date, lng, algorithm);
+  const transit = sunTransitTime(rts, date, lng);
+  const range = dayElevationRange(lat, rts.delta[1]);
+
+  let windows = {};
+  Object.keys(data.LIGHT_WINDOWS).forEach(name => {
+    const { upper, lower } = data.LIGHT_WINDOWS[name];
+    if (range.max < lower || range.min > upper) {
+      windows[name] = { morning: null, evening: null };
+      return;
+    }
+    const high = riseSetAtAltitude(rts, date, lat, lng, upper);
+    const low = riseSetAtAltitude(rts, date, lat, lng, lower);
+    windows[name] = {
+      morning: {
+        start: low.rise || transit.minus({ hours: 12 }),
+        end: high.rise || transit
+      },
+      evening: {
+        start: high.set || transit,
+        end: low.set || transit.plus({ hours: 12 })
+      }
+    };
+  });
+  return windows;
 }
 
-function azimuth(date, elevation, latitude, longitude) {
-  const { jd, jc, jde, jce, jme } = julian(date);
+/**
+ * Most entries kept by `sunEphemeris`; a year-long sweep needs a few hundred
+ * instants, and the oldest entries are dropped first
+ * @type {number}
+ */
+const EPHEMERIS_CACHE_SIZE = 2048;
+
+/**
+ * Time-only sun terms already worked out, keyed by Julian Ephemeris Day
+ * @type {Map<number, SunEphemeris>}
+ */
+const ephemerisCache = new Map();
+
+/**
+ * Geocentric sun terms that depend only on the time
+ * @typedef {Object} SunEphemeris
+ * @property {number} jce Julian Ephemeris Century
+ * @property {number} jme Julian Ephemeris Millennium
+ * @property {Degrees} l Heliocentric longitude
+ * @property {Degrees} b Heliocentric latitude
+ * @property {AstronomicalUnits} r Earth radius vector
+ * @property {Degrees} theta Geocentric longitude
+ * @property {Degrees} beta Geocentric latitude
+ * @property {Degrees} del_psi Nutation in longitude
+ * @property {Degrees} del_epsilon Nutation in obliquity
+ * @property {Degrees} epsilon True obliquity of the ecliptic
+ * @property {Degrees} del_tau Aberration correction
+ * @property {Degrees} lambda Apparent sun longitude
+ * @property {Degrees} alpha Geocentric right ascension
+ * @property {Degrees} delta Geocentric declination
+ * @property {Minutes} eot Equation of time
+ */
+
+/**
+ * Work out the time-only sun terms for a Julian Ephemeris Day, or fetch them
+ * if they were already worked out. These hold all the periodic term sums, so
+ * every caller shares them rather than summing the tables again.
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Steps 3.2-3.8
+ * @param {number} jde Julian Ephemeris Day
+ * @returns {SunEphemeris}
+ */
+function sunEphemeris(jde) {
+  const cached = ephemerisCache.get(jde);
+  if (cached) {
+    return cached;
+  }
+
+  const jce = julianEphemerisCentury(jde);
+  const jme = julianEphemerisMillennium(jce);
+
   const l = heliocentricLongitude(jme);
   const b = heliocentricLatitude(jme);
   const r = earthRadiusVector(jme);
@@ -1263,31 +1673,402 @@ function azimuth(date, elevation, latitude, longitude) {
   const beta = geocentricLatitude(b);
 
   const x_factors = xFactors(jce);
-
   const del_psi = nutationLongitude(jce, x_factors);
-
+  const del_epsilon = nutationObliquity(jce, x_factors);
   const epsilon = trueEclipticObliquity(jme, jce);
 
   const del_tau = aberrationCorrection(r);
   const lambda = apparentSunLongitude(theta, del_psi, del_tau);
-  const nu = greenwichApparentSiderealTime(jd, jc, jde, del_psi, epsilon);
 
   const alpha = geocentricRightAscension(lambda, epsilon, beta);
   const delta = geocentricDeclination(lambda, epsilon, beta);
 
-  const h = observerLocalHourAngle(nu, longitude, alpha);
+  const terms = {
+    jce,
+    jme,
+    l,
+    b,
+    r,
+    theta,
+    beta,
+    del_psi,
+    del_epsilon,
+    epsilon,
+    del_tau,
+    lambda,
+    alpha,
+    delta,
+    eot: equationOfTime(jme, alpha, del_psi, epsilon)
+  };
+  if (ephemerisCache.size >= EPHEMERIS_CACHE_SIZE) {
+    ephemerisCache.delete(ephemerisCache.keys().next().value);
+  }
+  ephemerisCache.set(jde, terms);
+  return terms;
+}
+
+/**
+ * Work out the time-only sun terms for a Julian Ephemeris Day from the short
+ * series NOAA's solar calculator uses (Meeus, Astronomical Algorithms, 2nd
+ * ed., Chapter 25, with the low-accuracy nutation and aberration). Compared
+ * with the full SPA over 1700-2500 the sun's direction is within 0.01°,
+ * though azimuth alone can be off by that over the cosine of the elevation
+ * (0.02° with the sun 70° up). Rise/set times are within 4 seconds up to 65°
+ * latitude; nearer the poles, on days the sun only just rises or sets, they
+ * can be minutes apart. It skips the periodic term tables, so a position
+ * works out about 2.5 times faster. test/noaa.test.js checks these bounds.
+ * @param {number} jde Julian Ephemeris Day
+ * @returns {SunEphemeris}
+ */
+function noaaEphemeris(jde) {
+  const jce = julianEphemerisCentury(jde);
+  const jme = julianEphemerisMillennium(jce);
+  const T = jce;
+
+  // geometric mean longitude and mean anomaly of the sun (Equations 25.2-3)
+  const L0 = limit_degrees(280.46646 + T * (36000.76983 + T * 0.0003032));
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  // eccentricity of the earth's orbit (Equation 25.4)
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  // equation of the center
+  const C =
+    Math.sin(deg2rad(M)) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+    Math.sin(deg2rad(2 * M)) * (0.019993 - 0.000101 * T) +
+    Math.sin(deg2rad(3 * M)) * 0.000289;
+  const theta = limit_degrees(L0 + C);
+  const r = (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(deg2rad(M + C)));
+
+  // nutation and aberration from the longitude of the moon's node alone
+  const omega = 125.04 - 1934.136 * T;
+  const del_psi = -0.00478 * Math.sin(deg2rad(omega));
+  const del_epsilon = 0.00256 * Math.cos(deg2rad(omega));
+  const del_tau = -0.00569;
+  const lambda = limit_degrees(theta + del_psi + del_tau);
+  const epsilon = meanEclipticObliquity(jme) / 3600 + del_epsilon;
+
+  const alpha = geocentricRightAscension(lambda, epsilon, 0);
+  const delta = geocentricDeclination(lambda, epsilon, 0);
+
+  // equation of time (Equation 28.3)
+  const y = Math.tan(deg2rad(epsilon / 2)) ** 2;
+  const eot =
+    4 *
+    rad2deg(
+      y * Math.sin(deg2rad(2 * L0)) -
+        2 * e * Math.sin(deg2rad(M)) +
+        4 * e * y * Math.sin(deg2rad(M)) * Math.cos(deg2rad(2 * L0)) -
+        0.5 * y * y * Math.sin(deg2rad(4 * L0)) -
+        1.25 * e * e * Math.sin(deg2rad(2 * M))
+    );
+
+  return {
+    jce,
+    jme,
+    l: limit_degrees(theta + 180),
+    b: 0,
+    r,
+    theta,
+    beta: 0,
+    del_psi,
+    del_epsilon,
+    epsilon,
+    del_tau,
+    lambda,
+    alpha,
+    delta,
+    eot
+  };
+}
+
+/**
+ * Sun position algorithms a calculation can use: the full NREL SPA, or the
+ * quicker and rougher NOAA short series for previews and bulk sweeps that
+ * are refined with SPA afterwards
+ * @typedef {"spa"|"noaa"} SunAlgorithm
+ * @type {Object<SunAlgorithm, function(number): SunEphemeris>}
+ */
+const SUN_ALGORITHMS = {
+  spa: sunEphemeris,
+  noaa: noaaEphemeris
+};
+
+/**
+ * Time-only sun terms for an instant: the Julian days, the geocentric terms
+ * and the apparent sidereal time at Greenwich
+ * @param {DateTime} date Time in question
+ * @param {?number} [delta_t] ∆T (TT-UT), estimated when null
+ * @param {?number} [delta_ut1] DUT1 (UT1-UTC), looked up when null
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {SunEphemeris & {jd: number, jc: number, jde: number, nu: Degrees}}
+ */
+function sunTimeTerms(
+  date,
+  delta_t = null,
+  delta_ut1 = null,
+  algorithm = "spa"
+) {
+  const ephemeris = SUN_ALGORITHMS[algorithm];
+  if (!ephemeris) {
+    throw new Error(`Unknown sun position algorithm "${algorithm}"`);
+  }
+  const jd = julianDay(date, delta_ut1 === null ? dut1(date) || 0 : delta_ut1);
+  const jc = julianCentury(jd);
+  const jde = julianEphemerisDay(jd, delta_t === null ? deltaT(date) : delta_t);
+  const terms = ephemeris(jde);
+  return {
+    ...terms,
+    jd,
+    jc,
+    jde,
+    nu: greenwichApparentSiderealTime(jd, jc, jde, terms.del_psi, terms.epsilon)
+  };
+}
+
+/**
+ * Sun terms that depend on the observer, from the time-only terms
+ * https://www.nrel.gov/docs/fy08osti/34302.pdf Steps 3.9-3.14
+ * @param {Object} time Result of `sunTimeTerms`
+ * @param {Degrees} latitude Observer latitude
+ * @param {Degrees} longitude Observer longitude
+ * @param {Meters} elevation Observer elevation
+ * @param {Celsius} temp Temperature at the observer
+ * @param {Millibar} pressure Pressure at the observer
+ * @returns {{h: Degrees, delta_prime: Degrees, alpha_prime: Degrees, h_prime: Degrees, e0: Degrees, del_e: Degrees, e: Degrees, zenith: Degrees, azimuth_astro: Degrees, azimuth: Degrees}}
+ */
+function sunObserverTerms(
+  time,
+  latitude,
+  longitude,
+  elevation,
+  temp,
+  pressure
+) {
+  const h = observerLocalHourAngle(time.nu, longitude, time.alpha);
   const topocentric = topocentricSunPosition(
     latitude,
     elevation,
-    r,
+    time.r,
     h,
-    delta,
-    alpha
+    time.delta,
+    time.alpha
+  );
+  const zenith = topocentricZenith(
+    latitude,
+    topocentric.localHourAngle,
+    topocentric.declination,
+    pressure,
+    temp
+  );
+  const azi = topocentricAzimuthAngle(
+    latitude,
+    topocentric.localHourAngle,
+    topocentric.declination
+  );
+  return {
+    h: h,
+    delta_prime: topocentric.declination,
+    alpha_prime: topocentric.rightAscension,
+    h_prime: topocentric.localHourAngle,
+    e0: zenith.uncorrectedElevation,
+    del_e: atmosphericRefractionCorrection(
+      zenith.uncorrectedElevation,
+      pressure,
+      temp
+    ),
+    e: zenith.elevationAngle,
+    zenith: zenith.zenithAngle,
+    azimuth_astro: azi.astronomers,
+    azimuth: azi.navigators
+  };
+}
+
+/**
+ * Geocentric apparent right ascension and declination of the sun
+ * @param {DateTime} date Time in question
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{alpha: Degrees, delta: Degrees, r: AstronomicalUnits, lambda: Degrees}}
+ * Right ascension, declination, earth-sun distance and apparent longitude
+ */
+export function geoRA_D(date, algorithm = "spa") {
+  const { alpha, delta, r, lambda } = sunTimeTerms(date, null, null, algorithm);
+  return { alpha, delta, r, lambda };
+}
+
+/**
+ * Point on the earth with the sun straight overhead: its latitude is the
+ * sun's declination, and its longitude where the local hour angle (sidereal
+ * time plus longitude less right ascension) is zero
+ * @param {DateTime} date Time in question
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{lat: Degrees, lng: Degrees}} Longitude from -180 to 180
+ */
+export function subsolarPoint(date, algorithm = "spa") {
+  const { alpha, delta, nu } = sunTimeTerms(date, null, null, algorithm);
+  return { lat: delta, lng: limit_degrees180pm(alpha - nu) };
+}
+
+/**
+ * Julian day, century and ephemeris variants for a time
+ * @param {DateTime} date Time in question
+ * @returns {{jd: number, jc: number, jde: number, jce: number, jme: number}}
+ */
+export function julian(date) {
+  const jd = julianDay(date, dut1(date) || 0);
+  const jc = julianCentury(jd);
+  const delta_t = deltaT(date);
+  const jde = julianEphemerisDay(jd, delta_t);
+  const jce = julianEphemerisCentury(jde);
+  const jme = julianEphemerisMillennium(jce);
+
+  return { jd, jc, jde, jce, jme };
+}
+
+/**
+ * Calculate the sun's topocentric azimuth at a given time
+ * @param {DateTime} date Time in question
+ * @param {Meters} elevation Observer elevation
+ * @param {Degrees} latitude Observer latitude
+ * @param {Degrees} longitude Observer longitude
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {Degrees} Azimuth, clockwise from north
+ */
+export function azimuth(
+  date,
+  elevation,
+  latitude,
+  longitude,
+  algorithm = "spa"
+) {
+  return sunPosition(date, elevation, latitude, longitude, 10, 1010, algorithm)
+    .azimuth;
+}
+
+/**
+ * Calculate the sun's topocentric azimuth and refracted elevation at a given time
+ * @param {DateTime} date Time in question
+ * @param {Meters} elevation Observer elevation
+ * @param {Degrees} latitude Observer latitude
+ * @param {Degrees} longitude Observer longitude
+ * @param {Celsius} [temp=10] Temperature at the observer
+ * @param {Millibar} [pressure=1010] Pressure at the observer
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{azimuth: Degrees, elevation: Degrees, declination: Degrees, equationOfTime: Minutes}}
+ * Azimuth clockwise from north, elevation including atmospheric refraction,
+ * geocentric declination and the equation of time
+ */
+export function sunPosition(
+  date,
+  elevation,
+  latitude,
+  longitude,
+  temp = 10,
+  pressure = 1010,
+  algorithm = "spa"
+) {
+  const time = sunTimeTerms(date, null, null, algorithm);
+  const observer = sunObserverTerms(
+    time,
+    latitude,
+    longitude,
+    elevation,
+    temp,
+    pressure
   );
-  const delta_prime = topocentric.declination;
-  const h_prime = topocentric.localHourAngle;
 
-  const azi = topocentricAzimuthAngle(latitude, h_prime, delta_prime);
+  return {
+    azimuth: observer.azimuth,
+    elevation: observer.e,
+    declination: time.delta,
+    equationOfTime: time.eot
+  };
+}
+
+/**
+ * Sample the sun's position through the local day of `date`
+ * @param {DateTime} date Day in question
+ * @param {Meters} elevation Observer elevation
+ * @param {Degrees} latitude Observer latitude
+ * @param {Degrees} longitude Observer longitude
+ * @param {Minutes} [step=10] Time between samples
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{time: DateTime, azimuth: Degrees, elevation: Degrees}[]} Samples
+ * from local midnight to the next, in time order
+ */
+export function sunTrack(
+  date,
+  elevation,
+  latitude,
+  longitude,
+  step = 10,
+  algorithm = "spa"
+) {
+  const start = date.startOf("day");
+  const end = start.plus({ days: 1 });
+  let samples = [];
+  for (let time = start; time <= end; time = time.plus({ minutes: step })) {
+    samples.push({
+      time: time,
+      ...sunPosition(
+        time,
+        elevation,
+        latitude,
+        longitude,
+        10,
+        1010,
+        algorithm
+      )
+    });
+  }
+  return samples;
+}
 
-  return azi.navigators;
+/**
+ * Sample the sun at the same clock time on every day of a year, tracing the
+ * analemma. The clock is the zone's standard time all year round, as on a
+ * sundial; summer time would shift half the figure by an hour.
+ * @param {number} year Year in question
+ * @param {string} zone Observer's IANA time zone
+ * @param {Minutes} minutes Standard clock time, as minutes after midnight
+ * @param {Meters} elevation Observer elevation
+ * @param {Degrees} latitude Observer latitude
+ * @param {Degrees} longitude Observer longitude
+ * @param {?number} [month=null] Only sample this month (1-12), so a long
+ * sweep can be split up
+ * @returns {{time: DateTime, azimuth: Degrees, elevation: Degrees, declination: Degrees, equationOfTime: Minutes}[]}
+ * One sample per day, in date order
+ */
+export function sunAnalemma(
+  year,
+  zone,
+  minutes,
+  elevation,
+  latitude,
+  longitude,
+  month = null
+) {
+  // standard time is the smaller offset of midwinter and midsummer, whichever
+  // hemisphere the zone is in
+  const standard = Math.min(
+    DateTime.fromObject({ year: year, month: 1, day: 1, zone: zone }).offset,
+    DateTime.fromObject({ year: year, month: 7, day: 1, zone: zone }).offset
+  );
+  let samples = [];
+  let day = DateTime.fromObject({
+    year: year,
+    month: month || 1,
+    day: 1,
+    zone: FixedOffsetZone.instance(standard)
+  });
+  while (day.year === year && (!month || day.month === month)) {
+    const time = day.set({
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    });
+    samples.push({
+      time: time,
+      ...sunPosition(time, elevation, latitude, longitude)
+    });
+    day = day.plus({ days: 1 });
+  }
+  return samples;
 }
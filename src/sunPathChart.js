@@ -0,0 +1,197 @@
+/**
+ * Lowest altitude shown at the edge of the plot
+ * @type {Degrees}
+ */
+const MIN_ALTITUDE = -5;
+
+/**
+ * Line styles of the reference tracks, by name
+ * @type {Object<string, string>}
+ */
+const TRACK_COLORS = {
+  "June solstice": "#c0392b",
+  "March equinox": "#2e7d32",
+  "December solstice": "#2f5fc4"
+};
+
+/**
+ * Polar sun-path diagram (north up, zenith in the middle, horizon on the
+ * ring marked 0°): the sun's track through the selected day with hour
+ * markers, the solstice and equinox tracks for comparison, the current sun
+ * position and any horizon profile
+ */
+class SunPathChart {
+  /**
+   * @param {HTMLCanvasElement} canvas Canvas to draw in
+   */
+  constructor(canvas) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext("2d");
+    this._track = [];
+    this._references = [];
+    this._sun = null;
+    this._profile = null;
+  }
+
+  /**
+   * @param {{time: DateTime, azimuth: Degrees, elevation: Degrees}[]} track
+   * Sun positions through the selected day, from `sunTrack`
+   */
+  set track(track) {
+    this._track = track;
+    this.draw();
+  }
+
+  /**
+   * @param {{name: string, track: Object[]}[]} references Solstice and
+   * equinox tracks, as for `track`
+   */
+  set references(references) {
+    this._references = references;
+    this.draw();
+  }
+
+  /**
+   * @param {?{azimuth: Degrees, elevation: Degrees}} sun Current position
+   */
+  set sun(sun) {
+    this._sun = sun;
+    this.draw();
+  }
+
+  /**
+   * @param {?HorizonProfile} profile Local horizon to shade
+   */
+  set profile(profile) {
+    this._profile = profile;
+    this.draw();
+  }
+
+  get _radius() {
+    return Math.min(this._canvas.width, this._canvas.height) / 2 - 14;
+  }
+
+  /**
+   * Convert azimuth/altitude to canvas coordinates
+   * @param {Degrees} azimuth
+   * @param {Degrees} altitude
+   * @returns {number[]} [x, y]
+   */
+  _toXY(azimuth, altitude) {
+    const r = (this._radius * (90 - altitude)) / (90 - MIN_ALTITUDE);
+    const az = (azimuth * Math.PI) / 180;
+    return [
+      this._canvas.width / 2 + r * Math.sin(az),
+      this._canvas.height / 2 - r * Math.cos(az)
+    ];
+  }
+
+  /**
+   * Draw the part of a track that is above the edge of the plot
+   * @param {{azimuth: Degrees, elevation: Degrees}[]} track
+   */
+  _drawTrack(track) {
+    const ctx = this._ctx;
+    ctx.beginPath();
+    let drawing = false;
+    track.forEach(pt => {
+      if (pt.elevation < MIN_ALTITUDE) {
+        drawing = false;
+        return;
+      }
+      const [x, y] = this._toXY(pt.azimuth, pt.elevation);
+      if (drawing) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+      }
+      drawing = true;
+    });
+    ctx.stroke();
+  }
+
+  draw() {
+    const ctx = this._ctx;
+    const w = this._canvas.width;
+    const h = this._canvas.height;
+    ctx.clearRect(0, 0, w, h);
+
+    // altitude rings, azimuth spokes and compass labels
+    ctx.strokeStyle = "#ccc";
+    ctx.fillStyle = "#555";
+    ctx.font = "10px sans-serif";
+    [0, 15, 30, 45, 60, 75].forEach(alt => {
+      const r = (this._radius * (90 - alt)) / (90 - MIN_ALTITUDE);
+      ctx.strokeStyle = alt === 0 ? "#888" : "#ccc";
+      ctx.beginPath();
+      ctx.arc(w / 2, h / 2, r, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.fillText(`${alt}°`, w / 2 + 2, h / 2 - r - 2);
+    });
+    ctx.strokeStyle = "#ccc";
+    for (let az = 0; az < 360; az += 30) {
+      const [x, y] = this._toXY(az, MIN_ALTITUDE);
+      ctx.beginPath();
+      ctx.moveTo(w / 2, h / 2);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+    }
+    [["N", 0], ["E", 90], ["S", 180], ["W", 270]].forEach(([label, az]) => {
+      const [x, y] = this._toXY(az, MIN_ALTITUDE - 2.5);
+      ctx.fillText(label, x - 3, y + 4);
+    });
+
+    // shade everything below the horizon profile
+    if (this._profile) {
+      ctx.fillStyle = "rgba(120, 90, 60, 0.5)";
+      ctx.beginPath();
+      for (let az = 0; az <= 360; az++) {
+        const alt = Math.max(this._profile.altitudeAt(az), MIN_ALTITUDE);
+        const [x, y] = this._toXY(az, alt);
+        az === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+      }
+      ctx.arc(w / 2, h / 2, this._radius, -Math.PI / 2, (3 * Math.PI) / 2, true);
+      ctx.fill("evenodd");
+    }
+
+    // solstice and equinox tracks
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    this._references.forEach(ref => {
+      ctx.strokeStyle = TRACK_COLORS[ref.name] || "#888";
+      this._drawTrack(ref.track);
+    });
+    ctx.setLineDash([]);
+
+    // the selected day, with a dot and label on each whole hour
+    ctx.strokeStyle = "#e3a21a";
+    ctx.lineWidth = 2.5;
+    this._drawTrack(this._track);
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#7a5230";
+    this._track.forEach(pt => {
+      if (pt.time.minute !== 0 || pt.elevation < MIN_ALTITUDE) {
+        return;
+      }
+      const [x, y] = this._toXY(pt.azimuth, pt.elevation);
+      ctx.beginPath();
+      ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillText(pt.time.toFormat("H"), x + 4, y - 3);
+    });
+
+    // where the sun is now
+    const sun = this._sun;
+    if (sun && sun.elevation >= MIN_ALTITUDE) {
+      const [x, y] = this._toXY(sun.azimuth, sun.elevation);
+      ctx.fillStyle = "#f7dc39";
+      ctx.strokeStyle = "#b5651d";
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+}
+
+export default SunPathChart;
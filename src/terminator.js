@@ -0,0 +1,109 @@
+import data from "./data";
+import { subsolarPoint } from "./spa";
+
+/**
+ * Bearing between points on the outline of a shadow cap
+ * @type {Degrees}
+ */
+const CAP_STEP = 2;
+
+/**
+ * Time between points on the subsolar ground track
+ * @type {Minutes}
+ */
+const TRACK_STEP = 15;
+
+const toRadians = deg => (deg * Math.PI) / 180;
+const toDegrees = rad => (rad * 180) / Math.PI;
+
+/**
+ * Outline of the part of the earth where the sun is below an altitude: a
+ * circle round the antisolar point, with a radius of 90° plus the altitude.
+ * Longitudes run on without wrapping, so the outline can go past ±180; if
+ * the circle takes in a pole, the outline runs all the way round the world
+ * and is closed over that pole.
+ * @param {{lat: Degrees, lng: Degrees}} subsolar Subsolar point
+ * @param {Degrees} altitude Geometric sun altitude at the edge
+ * @returns {[Degrees, Degrees][]} Polygon as [lat, lng] points
+ */
+export function nightCap(subsolar, altitude) {
+  const lat0 = toRadians(-subsolar.lat);
+  const lng0 = subsolar.lng + 180;
+  const radius = toRadians(90 + altitude);
+
+  let points = [];
+  for (let bearing = 0; bearing <= 360; bearing += CAP_STEP) {
+    const b = toRadians(bearing);
+    const lat = Math.asin(
+      Math.sin(lat0) * Math.cos(radius) +
+        Math.cos(lat0) * Math.sin(radius) * Math.cos(b)
+    );
+    let lng =
+      lng0 +
+      toDegrees(
+        Math.atan2(
+          Math.sin(b) * Math.sin(radius) * Math.cos(lat0),
+          Math.cos(radius) - Math.sin(lat0) * Math.sin(lat)
+        )
+      );
+    // keep each longitude within half a turn of the one before
+    if (points.length) {
+      const prev = points[points.length - 1][1];
+      lng += 360 * Math.round((prev - lng) / 360);
+    }
+    points.push([toDegrees(lat), lng]);
+  }
+
+  const drift = points[points.length - 1][1] - points[0][1];
+  if (Math.abs(drift) < 180) {
+    return points;
+  }
+  // the circle goes round a pole: close it along the top (or bottom) edge
+  const pole = -subsolar.lat > 0 ? 90 : -90;
+  return points.concat([
+    [pole, points[points.length - 1][1]],
+    [pole, points[0][1]]
+  ]);
+}
+
+/**
+ * Day/night overlay for an instant: the subsolar point, the terminator and
+ * the edges of civil, nautical and astronomical twilight, and the subsolar
+ * point's ground track over the day
+ * @param {DateTime} date Instant in question; the track covers its local day
+ * @param {SunAlgorithm} [algorithm="spa"] Algorithm for the sun's position
+ * @returns {{subsolar: {lat: Degrees, lng: Degrees}, bands: {name: string, altitude: Degrees, polygon: [Degrees, Degrees][]}[], track: [Degrees, Degrees][]}}
+ * Bands from the terminator ("night") inwards, each polygon covering where
+ * the sun is below that band's altitude; the track's longitudes run on
+ * without wrapping
+ */
+export function dayNight(date, algorithm = "spa") {
+  const subsolar = subsolarPoint(date, algorithm);
+
+  // the terminator as for sunrise and sunset: the sun's upper limb on the
+  // horizon, lifted by refraction
+  const sunset = -1 * (data.SUN_RADIUS + data.REFRACTION_AT_SUNSET);
+  const bands = [["night", sunset], ...Object.entries(data.TWILIGHT)].map(
+    ([name, altitude]) => ({
+      name: name,
+      altitude: altitude,
+      polygon: nightCap(subsolar, altitude)
+    })
+  );
+
+  const start = date.startOf("day");
+  const end = start.plus({ days: 1 });
+  let track = [];
+  for (let time = start; time <= end; ) {
+    const point = subsolarPoint(time, algorithm);
+    let lng = point.lng;
+    if (track.length) {
+      const prev = track[track.length - 1][1];
+      lng += 360 * Math.round((prev - lng) / 360);
+    }
+    track.push([point.lat, lng]);
+    time = time.plus({ minutes: TRACK_STEP });
+  }
+
+  return { subsolar: subsolar, bands: bands, track: track };
+}
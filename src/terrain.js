@@ -0,0 +1,187 @@
+import HorizonProfile from "./horizon";
+import { geocentricRadius, horizonDip, latLngFromAzimuth } from "./spa";
+
+/**
+ * Value used in SRTM tiles for cells without data
+ * @type {number}
+ */
+const HGT_VOID = -32768;
+
+/**
+ * Refraction coefficient for a line of sight close to the ground
+ * @type {number}
+ */
+const TERRESTRIAL_REFRACTION = 0.13;
+
+/**
+ * Name of the SRTM tile holding a point, e.g. "N37W123"
+ * @param {Degrees} lat
+ * @param {Degrees} lng
+ * @returns {string} Tile name
+ */
+function tileName(lat, lng) {
+  const latFloor = Math.floor(lat);
+  const lngFloor = Math.floor(lng);
+  const pad = (n, width) => Math.abs(n).toString().padStart(width, "0");
+  return (
+    (latFloor >= 0 ? "N" : "S") +
+    pad(latFloor, 2) +
+    (lngFloor >= 0 ? "E" : "W") +
+    pad(lngFloor, 3)
+  );
+}
+
+/**
+ * A set of SRTM `.hgt` elevation tiles loaded from local files. Each tile
+ * covers one degree square, named after its south-west corner, as a grid of
+ * big-endian 16-bit heights in meters, north row first. Both 3" (1201×1201)
+ * and 1" (3601×3601) tiles are read.
+ */
+class TerrainTiles {
+  constructor() {
+    this._tiles = {};
+  }
+
+  /**
+   * Number of tiles loaded
+   * @returns {number}
+   */
+  get count() {
+    return Object.keys(this._tiles).length;
+  }
+
+  /**
+   * Add a tile from the contents of a `.hgt` file
+   * @param {string} filename File name, e.g. "N37W123.hgt"
+   * @param {ArrayBuffer} buffer File contents
+   */
+  addTile(filename, buffer) {
+    const match = /([NS])(\d{2})([EW])(\d{3})/i.exec(filename);
+    if (!match) {
+      throw new Error(`${filename} is not named like an SRTM tile`);
+    }
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (!Number.isInteger(size)) {
+      throw new Error(`${filename} is not a square grid of heights`);
+    }
+    const name = tileName(
+      (match[1].toUpperCase() === "N" ? 1 : -1) * parseInt(match[2]),
+      (match[3].toUpperCase() === "E" ? 1 : -1) * parseInt(match[4])
+    );
+    this._tiles[name] = { size: size, view: new DataView(buffer) };
+  }
+
+  /**
+   * Tell whether a point lies on a loaded tile
+   * @param {Degrees} lat
+   * @param {Degrees} lng
+   * @returns {boolean}
+   */
+  covers(lat, lng) {
+    return tileName(lat, lng) in this._tiles;
+  }
+
+  /**
+   * Ground elevation at a point, bilinearly interpolated between cells
+   * @param {Degrees} lat
+   * @param {Degrees} lng
+   * @returns {?Meters} Elevation, null off the loaded tiles or over voids
+   */
+  elevationAt(lat, lng) {
+    const tile = this._tiles[tileName(lat, lng)];
+    if (!tile) {
+      return null;
+    }
+    const n = tile.size - 1;
+    const row = (Math.floor(lat) + 1 - lat) * n;
+    const col = (lng - Math.floor(lng)) * n;
+    const r0 = Math.min(Math.floor(row), n - 1);
+    const c0 = Math.min(Math.floor(col), n - 1);
+    const cell = (r, c) => tile.view.getInt16((r * tile.size + c) * 2);
+
+    const corners = [
+      cell(r0, c0),
+      cell(r0, c0 + 1),
+      cell(r0 + 1, c0),
+      cell(r0 + 1, c0 + 1)
+    ];
+    if (corners.includes(HGT_VOID)) {
+      return null;
+    }
+    const dr = row - r0;
+    const dc = col - c0;
+    return (
+      corners[0] * (1 - dr) * (1 - dc) +
+      corners[1] * (1 - dr) * dc +
+      corners[2] * dr * (1 - dc) +
+      corners[3] * dr * dc
+    );
+  }
+}
+
+/**
+ * Read every `.hgt` file in a list (from a file input or a drop), ready for
+ * `TerrainTiles.addTile`
+ * @param {FileList|File[]} files Files to read; others are skipped
+ * @returns {Promise<{name: string, buffer: ArrayBuffer}[]>} Contents of each
+ * tile file
+ */
+async function readTileFiles(files) {
+  const tiles = Array.from(files).filter(file =>
+    file.name.toLowerCase().endsWith(".hgt")
+  );
+  let read = [];
+  for (const file of tiles) {
+    read.push({ name: file.name, buffer: await file.arrayBuffer() });
+  }
+  return read;
+}
+
+/**
+ * Build a horizon profile by marching out along each azimuth over the terrain
+ * and keeping the highest apparent altitude, allowing for earth curvature and
+ * terrestrial refraction
+ * @param {TerrainTiles} tiles Elevation tiles around the observer
+ * @param {Degrees} lat Observer latitude
+ * @param {Degrees} lng Observer longitude
+ * @param {Meters} eyeHeight Observer eye height above the ground
+ * @param {Object} [options]
+ * @param {Degrees} [options.azimuthStep=1] Spacing of the profile points
+ * @param {Meters} [options.maxDistance=60000] How far out to look
+ * @returns {?HorizonProfile} Profile with the distance to each obstruction,
+ * null if the observer isn't on a loaded tile
+ */
+function terrainHorizon(tiles, lat, lng, eyeHeight, options = {}) {
+  const { azimuthStep = 1, maxDistance = 60000 } = options;
+  const ground = tiles.elevationAt(lat, lng);
+  if (ground === null) {
+    return null;
+  }
+  const eye = ground + eyeHeight;
+  const R = geocentricRadius(lat);
+
+  // where no terrain shows above it, the horizon is the dipped sea level
+  const seaLevel = { altitude: -horizonDip(eye, lat), distance: null };
+
+  const points = [];
+  for (let az = 0; az < 360; az += azimuthStep) {
+    let best = seaLevel;
+    // step out further as the terrain gets further away
+    for (let d = 30; d <= maxDistance; d += 30 + d * 0.005) {
+      const pt = latLngFromAzimuth([lat, lng], d, az);
+      const h = tiles.elevationAt(pt.lat, pt.lng);
+      if (h === null) {
+        continue;
+      }
+      const drop = ((d * d) / (2 * R)) * (1 - TERRESTRIAL_REFRACTION);
+      const altitude = (Math.atan2(h - drop - eye, d) * 180) / Math.PI;
+      if (altitude > best.altitude) {
+        best = { altitude: altitude, distance: d };
+      }
+    }
+    points.push({ azimuth: az, ...best });
+  }
+  return new HorizonProfile(points);
+}
+
+export { readTileFiles, terrainHorizon, TerrainTiles };
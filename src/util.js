@@ -1,12 +1,15 @@
 import { DateTime } from "luxon";
+import { formatHistoricalDate, parseHistoricalDate } from "./calendar";
 
-function setInputDate(id, date) {
+function setInputDate(id, date, preview = false) {
   const el = document.getElementById(id);
   if (el) {
-    el.value = date.toFormat("yyyy-MM-dd");
+    el.value = formatHistoricalDate(date);
     if ("createEvent" in document) {
       let evt = document.createEvent("HTMLEvents");
       evt.initEvent("change", false, true);
+      // listeners may draw a rougher, quicker result while scrubbing
+      evt.preview = preview;
       el.dispatchEvent(evt);
     } else {
       el.fireEvent("onchange");
@@ -21,17 +24,35 @@ function todayWithTz(timezone) {
 }
 
 function dateFromInput(inputStr, timezone) {
-  return new DateTime.fromFormat(inputStr, "yyyy-MM-dd", { zone: timezone });
+  return parseHistoricalDate(inputStr, timezone);
 }
 
 function getInputDate(elId) {
   const el = document.getElementById(elId);
   if (el) {
     const raw = el.value;
-    return DateTime.fromFormat(raw, "yyyy-MM-dd");
+    return parseHistoricalDate(raw, "utc");
   }
 }
 
+function setInputTime(id, date) {
+  const el = document.getElementById(id);
+  if (el) {
+    el.value = date.hour * 60 + date.minute;
+  }
+}
+
+/**
+ * Read a time-of-day slider
+ * @param {string} elId Id of the range input
+ * @returns {number} Clock time as minutes after midnight (hour * 60 + minute),
+ * which differs from time elapsed on the days the clocks change
+ */
+function getInputMinutes(elId) {
+  const el = document.getElementById(elId);
+  return el ? parseInt(el.value) : 0;
+}
+
 /**
  * Limit degrees to 0 <= result <= 360
  * @param {Degrees} degrees Unlimited degrees
@@ -58,7 +79,9 @@ function limit_degrees180pm(degrees) {
 export {
   dateFromInput,
   getInputDate,
+  getInputMinutes,
   setInputDate,
+  setInputTime,
   limit_degrees,
   limit_degrees180pm,
   todayWithTz
@@ -0,0 +1,15 @@
+import { JobQueue, pack, unpack } from "./compute";
+
+// Web Worker running the heavy sun calculations for the page; see
+// `ComputeClient` for the other end of the messages
+
+const queue = new JobQueue(reply => self.postMessage(pack(reply)));
+
+self.onmessage = e => {
+  const { type, id, channel, job, args } = e.data;
+  if (type === "cancel") {
+    queue.cancel(channel);
+  } else {
+    queue.add(id, channel, job, unpack(args));
+  }
+};
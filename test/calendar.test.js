@@ -0,0 +1,92 @@
+import {
+  calendarToJD,
+  formatHistoricalDate,
+  fromHistoricalDate,
+  jdToCalendar,
+  parseHistoricalDate,
+  toHistoricalDate
+} from "../src/calendar";
+
+// worked examples and table 7.a from Meeus, Astronomical Algorithms (2nd ed.)
+// Chapter 7: [year, month, day, Julian calendar?, Julian Day]
+const MEEUS = [
+  [2000, 1, 1.5, false, 2451545.0],
+  [1999, 1, 1.0, false, 2451179.5],
+  [1987, 1, 27.0, false, 2446822.5],
+  [1987, 6, 19.5, false, 2446966.0],
+  [1988, 1, 27.0, false, 2447187.5],
+  [1988, 6, 19.5, false, 2447332.0],
+  [1957, 10, 4.81, false, 2436116.31],
+  [1900, 1, 1.0, false, 2415020.5],
+  [1600, 1, 1.0, false, 2305447.5],
+  [1600, 12, 31.0, false, 2305812.5],
+  [837, 4, 10.3, true, 2026871.8],
+  [333, 1, 27.5, true, 1842713.0],
+  [-123, 12, 31.0, true, 1676496.5],
+  [-122, 1, 1.0, true, 1676497.5],
+  [-584, 5, 28.63, true, 1507900.13],
+  [-1000, 7, 12.5, true, 1356001.0],
+  [-1000, 2, 29.0, true, 1355866.5],
+  [-1001, 8, 17.9, true, 1355671.4],
+  [-4712, 1, 1.5, true, 0.0]
+];
+
+describe("calendar", () => {
+  test("converts Meeus's dates to Julian Days and back", () => {
+    MEEUS.forEach(([year, month, day, julian, jd]) => {
+      expect(calendarToJD(year, month, day, julian)).toBeCloseTo(jd, 6);
+      const date = jdToCalendar(jd, julian);
+      expect([date.year, date.month]).toEqual([year, month]);
+      expect(date.day).toBeCloseTo(day, 6);
+    });
+  });
+
+  test("switches to the Gregorian calendar after 1582-10-04", () => {
+    const lastJulian = fromHistoricalDate(1582, 10, 4, "UTC");
+    const firstGregorian = fromHistoricalDate(1582, 10, 15, "UTC");
+    expect(firstGregorian.diff(lastJulian, "days").days).toBe(1);
+    // luxon itself counts in the proleptic Gregorian calendar
+    expect(lastJulian.toISODate()).toBe("1582-10-14");
+
+    expect(toHistoricalDate(lastJulian)).toEqual({
+      year: 1582,
+      month: 10,
+      day: 4,
+      julian: true
+    });
+    expect(toHistoricalDate(firstGregorian)).toEqual({
+      year: 1582,
+      month: 10,
+      day: 15,
+      julian: false
+    });
+  });
+
+  test("rejects dates that don't exist", () => {
+    expect(() => fromHistoricalDate(1582, 10, 10, "UTC")).toThrow(
+      "skipped by the calendar reform"
+    );
+    expect(() => fromHistoricalDate(2023, 2, 29, "UTC")).toThrow(
+      "not a date"
+    );
+    // a leap day in the Julian calendar only
+    expect(fromHistoricalDate(1500, 2, 29, "UTC").toISODate()).toBe(
+      "1500-03-10"
+    );
+    expect(() => parseHistoricalDate("21 June 2024", "UTC")).toThrow(
+      "Expected a date"
+    );
+  });
+
+  test("reads and writes astronomical years", () => {
+    ["-0584-05-28", "0000-03-01", "1066-10-14", "2024-06-21"].forEach(text => {
+      expect(formatHistoricalDate(parseHistoricalDate(text, "UTC"))).toBe(
+        text
+      );
+    });
+    // Meeus's -584 May 28.63 is JD 1507900.13, so the day starts at 1507899.5
+    const date = parseHistoricalDate("-584-5-28", "UTC");
+    const jd = date.toMillis() / 86400000 + 2440587.5;
+    expect(jd).toBeCloseTo(1507899.5, 6);
+  });
+});
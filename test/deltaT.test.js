@@ -0,0 +1,64 @@
+import { DateTime } from "luxon";
+import { deltaT, deltaTEstimate } from "../src/deltaT";
+
+// known values of ∆T at the start of a year, from the table and the
+// Espenak & Meeus polynomials
+// https://eclipse.gsfc.nasa.gov/SEcat5/deltatpoly.html
+
+const startOf = year => DateTime.utc(year, 1, 1);
+
+describe("deltaT", () => {
+  test("reads the table inside it", () => {
+    [
+      [2000, 63.83],
+      [2020, 69.87]
+    ].forEach(([year, seconds]) => {
+      const estimate = deltaTEstimate(startOf(year));
+      expect(estimate.source).toBe("table");
+      expect(estimate.deltaT).toBeCloseTo(seconds, 2);
+    });
+  });
+
+  test("interpolates between table rows", () => {
+    // 2000-05-16 is about halfway through the year's second quarter
+    const day = DateTime.utc(2000, 5, 16);
+    expect(deltaT(day)).toBeCloseTo((63.9075 + 63.9799) / 2, 2);
+  });
+
+  test("follows the polynomials away from the table", () => {
+    [
+      [-1000, 25427.7],
+      [0, 10583.6],
+      [1000, 1574.2],
+      [1600, 120],
+      [1800, 13.72]
+    ].forEach(([year, seconds]) => {
+      const estimate = deltaTEstimate(startOf(year));
+      expect(estimate.source).toBe("polynomial");
+      expect(Math.abs(estimate.deltaT - seconds)).toBeLessThan(0.5);
+    });
+    expect(deltaTEstimate(startOf(-3000)).source).toBe("extrapolated");
+    expect(deltaTEstimate(startOf(3500)).source).toBe("extrapolated");
+  });
+
+  test("eases the polynomials into the ends of the table", () => {
+    // 1900 is within the blend, but the polynomial misses the table by so
+    // little there that it barely moves
+    expect(Math.abs(deltaT(startOf(1900)) - -2.79)).toBeLessThan(0.1);
+
+    // no jump from one side of an end of the table to the other
+    [
+      [DateTime.utc(1973, 3, 31), DateTime.utc(1973, 4, 2)],
+      [DateTime.utc(2027, 9, 30), DateTime.utc(2027, 10, 2)]
+    ].forEach(([before, after]) => {
+      expect(Math.abs(deltaT(after) - deltaT(before))).toBeLessThan(0.05);
+    });
+  });
+
+  test("grows less certain away from the table", () => {
+    const uncertainty = year => deltaTEstimate(startOf(year)).uncertainty;
+    expect(uncertainty(2000)).toBeLessThan(uncertainty(2100));
+    expect(uncertainty(2100)).toBeLessThan(uncertainty(2500));
+    expect(uncertainty(1800)).toBeLessThan(uncertainty(1000));
+  });
+});
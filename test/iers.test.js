@@ -0,0 +1,97 @@
+import { DateTime } from "luxon";
+import {
+  clearIERS,
+  dut1,
+  iersDeltaT,
+  loadIERS,
+  parseIERS
+} from "../src/iers";
+
+// lines as laid out in finals2000A and the two tables of Bulletin A, around
+// the leap second at the end of 2016 (MJD 57754 is 2017-01-01)
+
+const FINALS = [
+  "161230 57752.00 I  0.056530 0.000064  0.258412 0.000064  I-0.4083512 0.0000081",
+  "161231 57753.00 I  0.056021 0.000064  0.258817 0.000064  I-0.4093422 0.0000082",
+  "17 1 1 57754.00 I  0.055444 0.000064  0.259398 0.000064  I 0.5897651 0.0000082",
+  // polar motion only, as at the far end of the predictions
+  "17 1 2 57755.00 P  0.054913 0.004130  0.260007 0.005230"
+].join("\n");
+
+const RAPID = "   17  1  3  57756   0.0544  .0091   0.2606  .0091   0.58782  .00010";
+
+const PREDICTED = "      2017  1  4  57757       0.0539   0.2612    0.58705";
+
+const noon = (year, month, day) => DateTime.utc(year, month, day, 12);
+
+describe("IERS data", () => {
+  afterEach(clearIERS);
+
+  test("reads UT1-UTC from each line format", () => {
+    const rows = parseIERS([FINALS, RAPID, PREDICTED].join("\n"));
+    expect(rows.map(row => row.mjd)).toEqual([
+      57752,
+      57753,
+      57754,
+      57756,
+      57757
+    ]);
+    expect(rows[1].dut1).toBeCloseTo(-0.4093422, 7);
+    expect(rows[2].dut1).toBeCloseTo(0.5897651, 7);
+    expect(rows[3].dut1).toBeCloseTo(0.58782, 5);
+    expect(rows[4].dut1).toBeCloseTo(0.58705, 5);
+  });
+
+  test("skips lines it can't read", () => {
+    const text = [
+      "IERS Rapid Service/Prediction Center",
+      "",
+      "161231 57753.00 I  0.056021 0.000064  0.258817 0.000064  I-0.40934",
+      "161231 57753.0x I  0.056021 0.000064  0.258817 0.000064  I-0.4093422",
+      "   17  1  3  57756   0.0544  .0091   0.2606  .0091   n/a  .00010",
+      PREDICTED
+    ].join("\r\n");
+    expect(parseIERS(text)).toEqual([{ mjd: 57757, dut1: 0.58705 }]);
+    expect(() => parseIERS("no values here\n")).toThrow(
+      "No UT1-UTC values found"
+    );
+  });
+
+  test("sorts by date, keeping the last value given for a day", () => {
+    const again = FINALS.split("\n")[1].replace("-0.4093422", "-0.4100000");
+    const rows = parseIERS([PREDICTED, FINALS, again].join("\n"));
+    expect(rows.map(row => row.mjd)).toEqual([57752, 57753, 57754, 57757]);
+    expect(rows[1].dut1).toBe(-0.41);
+  });
+
+  test("interpolates UT1-UTC across a leap second", () => {
+    const loaded = loadIERS(FINALS);
+    expect(loaded.count).toBe(3);
+    expect(loaded.first.toISODate()).toBe("2016-12-30");
+    expect(loaded.last.toISODate()).toBe("2017-01-01");
+
+    // UT1 runs on smoothly while UTC steps back a second at midnight
+    const halfway = (a, b) => (a + b) / 2;
+    expect(dut1(noon(2016, 12, 30))).toBeCloseTo(
+      halfway(-0.4083512, -0.4093422),
+      6
+    );
+    expect(dut1(noon(2016, 12, 31))).toBeCloseTo(
+      halfway(-0.4093422, 0.5897651 - 1),
+      6
+    );
+    expect(iersDeltaT(noon(2016, 12, 31))).toBeCloseTo(
+      32.184 + 36 - dut1(noon(2016, 12, 31)),
+      6
+    );
+  });
+
+  test("has no values outside the loaded dates, or once cleared", () => {
+    loadIERS(FINALS);
+    expect(dut1(noon(2016, 12, 29))).toBeNull();
+    expect(dut1(noon(2017, 1, 1))).toBeNull();
+    clearIERS();
+    expect(dut1(noon(2016, 12, 30))).toBeNull();
+    expect(iersDeltaT(noon(2016, 12, 30))).toBeNull();
+  });
+});
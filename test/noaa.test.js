@@ -0,0 +1,60 @@
+import { DateTime, FixedOffsetZone } from "luxon";
+import { geoRA_D, SPA, sunriseSunset } from "../src/spa";
+
+// the bounds documented on noaaEphemeris, checked against the full SPA
+
+const toRadians = deg => (deg * Math.PI) / 180;
+
+// angle between two directions given as longitude-like and latitude-like
+// angles (right ascension and declination, or azimuth and elevation)
+function separation(lng1, lat1, lng2, lat2) {
+  const [a, b, c] = [lat1, lat2, lng1 - lng2].map(toRadians);
+  const cos =
+    Math.sin(a) * Math.sin(b) + Math.cos(a) * Math.cos(b) * Math.cos(c);
+  return (Math.acos(Math.min(1, cos)) * 180) / Math.PI;
+}
+
+const YEARS = [1700, 1850, 2000, 2024, 2150, 2300, 2500];
+
+describe("noaa algorithm", () => {
+  test("gives the sun's direction within 0.01°", () => {
+    YEARS.forEach(year => {
+      for (let month = 1; month <= 12; month++) {
+        const date = DateTime.utc(year, month, 1 + month, month * 2);
+        const spa = geoRA_D(date);
+        const noaa = geoRA_D(date, "noaa");
+        expect(
+          separation(spa.alpha, spa.delta, noaa.alpha, noaa.delta)
+        ).toBeLessThan(0.01);
+
+        const observer = [date, 30, month * 30 - 180, 0, 10, 1010];
+        const full = new SPA(...observer);
+        const quick = new SPA(...observer, null, null, "noaa");
+        expect(
+          separation(full.azimuth, full.e0, quick.azimuth, quick.e0)
+        ).toBeLessThan(0.01);
+      }
+    });
+  });
+
+  test("gives rise and set times within 4 seconds up to 65° latitude", () => {
+    YEARS.forEach(year => {
+      [-65, -40, 0, 35, 52, 60, 65].forEach(lat => {
+        const lng = ((year + lat * 7) % 360) - 180;
+        const zone = FixedOffsetZone.instance(Math.round(lng / 15) * 60);
+        for (let month = 1; month <= 12; month += 2) {
+          const day = DateTime.fromObject({ year, month, day: 10, zone });
+          const spa = sunriseSunset(day, lat, lng);
+          const noaa = sunriseSunset(day, lat, lng, 0, "noaa");
+          expect(noaa.polar === null).toBe(spa.polar === null);
+          if (spa.polar === null) {
+            ["sunRise", "sunSet"].forEach(event => {
+              const seconds = noaa[event].diff(spa[event], "seconds").seconds;
+              expect(Math.abs(seconds)).toBeLessThan(4);
+            });
+          }
+        }
+      });
+    });
+  });
+});
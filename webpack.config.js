@@ -3,12 +3,15 @@ const HtmlWebpackPlugin = require("html-webpack-plugin");
 
 module.exports = {
   entry: {
-    index: "./src/index.js"
+    index: "./src/index.js",
+    worker: "./src/worker.js"
   },
   plugins: [
     new HtmlWebpackPlugin({
       title: "Sunset Locator",
-      template: "./src/index.ejs"
+      template: "./src/index.ejs",
+      // loaded by the page as a Web Worker, not as a script tag
+      excludeChunks: ["worker"]
     })
   ],
   mode: "production",
@@ -19,7 +22,9 @@ module.exports = {
   },
   optimization: {
     splitChunks: {
-      chunks: "all"
+      // a worker can't load the page's shared chunks, so its bundle keeps
+      // everything it needs
+      chunks: chunk => chunk.name !== "worker"
     }
   }
 };